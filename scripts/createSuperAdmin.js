@@ -2,7 +2,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
-const { v4: uuidv4 } = require('uuid'); // You may need to install this: npm install uuid
+const crypto = require('crypto');
 
 // Connect to database
 mongoose.connect(process.env.MONGODB_URI, {
@@ -22,7 +22,7 @@ async function createSuperAdmin() {
     const User = require('../src/models/userModel');
     
     // Generate a secure random password if none is provided
-    const password = process.env.SUPER_ADMIN_PASSWORD || uuidv4().substring(0, 8);
+    const password = process.env.SUPER_ADMIN_PASSWORD || crypto.randomBytes(18).toString('base64url');
     
     // Hash the password
     const salt = await bcrypt.genSalt(10);
@@ -96,6 +96,7 @@ async function createSuperAdmin() {
     console.log('Password:', password);
     console.log('----------------------------------------');
     console.log('SAVE THESE CREDENTIALS SECURELY!');
+    console.log('Enable two-factor authentication for this account at POST /api/auth/2fa/setup');
     
     // Close the connection
     mongoose.connection.close();
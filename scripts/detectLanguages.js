@@ -0,0 +1,84 @@
+// scripts/detectLanguages.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Connect to database
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+}).then(() => {
+  console.log('Connected to MongoDB');
+  detectLanguages();
+}).catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+const BATCH_SIZE = 500;
+
+/**
+ * Re-detect the language of every document in a collection
+ * Plain reposts have no text and are left to the original's language.
+ * @param {Object} collection - Raw MongoDB collection of posts or comments
+ * @returns {Promise<Number>} Number of updated documents
+ */
+async function detectCollection(collection) {
+  const { detectLanguage } = require('../src/utils/languageUtils');
+
+  const cursor = collection.find(
+    { repostType: { $ne: 'repost' } },
+    { projection: { content: 1, language: 1 } }
+  );
+
+  let updated = 0;
+  let updates = [];
+
+  for await (const doc of cursor) {
+    const language = detectLanguage(doc.content);
+
+    if (language !== doc.language) {
+      updates.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { language } }
+        }
+      });
+      updated++;
+    }
+
+    if (updates.length >= BATCH_SIZE) {
+      await collection.bulkWrite(updates, { ordered: false });
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await collection.bulkWrite(updates, { ordered: false });
+  }
+
+  return updated;
+}
+
+async function detectLanguages() {
+  try {
+    const Post = require('../src/models/postModel');
+    const Comment = require('../src/models/commentModel');
+
+    // Rebuild the post text index so it no longer treats language as an override
+    await Post.syncIndexes();
+
+    const postCount = await detectCollection(Post.collection);
+    console.log(`Updated the language of ${postCount} posts`);
+
+    const commentCount = await detectCollection(Comment.collection);
+    console.log(`Updated the language of ${commentCount} comments`);
+
+    // Close the connection
+    mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  } catch (error) {
+    console.error('Error detecting languages:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+}
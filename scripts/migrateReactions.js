@@ -0,0 +1,122 @@
+// scripts/migrateReactions.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Connect to database
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+}).then(() => {
+  console.log('Connected to MongoDB');
+  migrateReactions();
+}).catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+const BATCH_SIZE = 500;
+
+/**
+ * Move embedded reactionUsers arrays of one collection into Reaction documents
+ * Counters are reset to the number of users that reacted, then the arrays are removed.
+ * @param {Object} collection - Raw MongoDB collection of posts or comments
+ * @param {String} targetType - 'post' or 'comment'
+ * @returns {Promise<Number>} Number of migrated documents
+ */
+async function migrateCollection(collection, targetType) {
+  const Reaction = require('../src/models/reactionModel');
+
+  const cursor = collection.find(
+    { reactionUsers: { $exists: true } },
+    { projection: { reactionUsers: 1 } }
+  );
+
+  let migrated = 0;
+  let reactions = [];
+  let targetUpdates = [];
+
+  const flush = async () => {
+    if (reactions.length > 0) {
+      try {
+        await Reaction.insertMany(reactions, { ordered: false });
+      } catch (error) {
+        // Reactions already migrated by an earlier run are skipped
+        const duplicatesOnly = error.writeErrors &&
+          error.writeErrors.every(writeError => writeError.code === 11000);
+
+        if (!duplicatesOnly) {
+          throw error;
+        }
+      }
+    }
+
+    if (targetUpdates.length > 0) {
+      await collection.bulkWrite(targetUpdates, { ordered: false });
+    }
+
+    reactions = [];
+    targetUpdates = [];
+  };
+
+  for await (const doc of cursor) {
+    const counters = {};
+
+    Object.entries(doc.reactionUsers || {}).forEach(([type, userIds]) => {
+      const uniqueUserIds = [...new Set((userIds || []).map(id => id.toString()))];
+
+      uniqueUserIds.forEach(userId => {
+        reactions.push({
+          userId,
+          targetType,
+          targetId: doc._id,
+          type,
+          createdAt: doc._id.getTimestamp()
+        });
+      });
+
+      counters[`reactions.${type}`] = uniqueUserIds.length;
+    });
+
+    targetUpdates.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: counters, $unset: { reactionUsers: '' } }
+      }
+    });
+
+    migrated++;
+
+    if (targetUpdates.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return migrated;
+}
+
+async function migrateReactions() {
+  try {
+    const Reaction = require('../src/models/reactionModel');
+    const Post = require('../src/models/postModel');
+    const Comment = require('../src/models/commentModel');
+
+    // Make sure the unique index exists before inserting
+    await Reaction.syncIndexes();
+
+    const postCount = await migrateCollection(Post.collection, 'post');
+    console.log(`Migrated reactions for ${postCount} posts`);
+
+    const commentCount = await migrateCollection(Comment.collection, 'comment');
+    console.log(`Migrated reactions for ${commentCount} comments`);
+
+    // Close the connection
+    mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  } catch (error) {
+    console.error('Error migrating reactions:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+}
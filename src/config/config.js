@@ -1,5 +1,20 @@
 // src/config/config.js
 require('dotenv').config();
+const jwt = require('jsonwebtoken');
+
+const accessTokenExpiry = process.env.JWT_ACCESS_EXPIRY || '15m';
+
+/**
+ * Get a token lifetime in seconds
+ * Lets jsonwebtoken read the value so every format it accepts gives the same result.
+ * @param {String|Number} expiry - expiresIn value such as '15m'
+ * @returns {Number} Lifetime in seconds
+ */
+const expiryToSeconds = (expiry) => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'expiry', { expiresIn: expiry }));
+
+  return exp - iat;
+};
 
 module.exports = {
   environment: process.env.NODE_ENV || 'development',
@@ -13,14 +28,34 @@ module.exports = {
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
     port: process.env.REDIS_PORT || 6379,
-    password: process.env.REDIS_PASSWORD
+    password: process.env.REDIS_PASSWORD,
+    maxReconnectDelay: 30000
   },
   jwt: {
     accessTokenSecret: process.env.JWT_ACCESS_SECRET || 'access_secret_key_for_dev',
     refreshTokenSecret: process.env.JWT_REFRESH_SECRET || 'refresh_secret_key_for_dev',
-    accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
+    accessTokenExpiry,
     refreshTokenExpiry: process.env.JWT_REFRESH_EXPIRY || '7d'
   },
+  denylist: {
+    keyPrefix: 'denylist:',
+    // Entries must outlive the longest-lived access token
+    ttlSeconds: expiryToSeconds(accessTokenExpiry)
+  },
+  loginSecurity: {
+    lockoutThreshold: 5, // failed attempts before the account locks
+    lockoutBaseMinutes: 15, // doubled for each further lockout
+    lockoutMaxMinutes: 24 * 60,
+    unlockTokenExpiry: 60 * 60 * 1000, // 1 hour in milliseconds
+    knownDeviceLimit: 20 // devices remembered for new-login detection
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'lowercase',
+    challengeSecret: process.env.TWO_FACTOR_CHALLENGE_SECRET || 'two_factor_challenge_secret_for_dev',
+    challengeExpiry: '5m', // time to enter the code after the password step
+    codeWindow: 1, // time steps of clock drift accepted either side
+    backupCodeCount: 10
+  },
   websocket: {
     pingInterval: 25000, // milliseconds
     pingTimeout: 60000, // milliseconds
@@ -35,6 +70,69 @@ module.exports = {
     contentRating: process.env.GIPHY_CONTENT_RATING || 'pg-13',
     cacheTime: 60 * 60 * 1000 // 1 hour in milliseconds
   },
+  posts: {
+    editWindowMinutes: parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 60,
+    maxPinnedPosts: 3,
+    expiryOptions: {
+      '1h': 60 * 60 * 1000,
+      '24h': 24 * 60 * 60 * 1000,
+      '7d': 7 * 24 * 60 * 60 * 1000
+    },
+    expirySweepIntervalSeconds: parseInt(process.env.EXPIRY_SWEEP_INTERVAL_SECONDS) || 60,
+    expirySweepBatchSize: 200 // expired posts processed per sweeper run
+  },
+  comments: {
+    treeDefaultDepth: 3,
+    treeMaxDepth: 5,
+    treeDefaultLimit: 10, // comments per level of each branch
+    treeMaxLimit: 50
+  },
+  drafts: {
+    maxScheduleDays: 30,
+    publishIntervalSeconds: parseInt(process.env.SCHEDULED_PUBLISH_INTERVAL_SECONDS) || 60,
+    publishBatchSize: 50 // scheduled posts published per worker run
+  },
+  polls: {
+    minOptions: 2,
+    maxOptions: 6,
+    defaultDurationHours: 24,
+    maxDurationHours: 7 * 24
+  },
+  reactions: {
+    catalogueCacheSeconds: 60, // how long the reaction catalogue is cached per process
+    maxEmojiLength: 16,
+    // Catalogue seeded when no reaction types have been defined yet
+    defaultTypes: [
+      { emoji: '❤️', label: 'Love', weight: 1, displayOrder: 1 },
+      { emoji: '👍', label: 'Like', weight: 1, displayOrder: 2 },
+      { emoji: '😂', label: 'Funny', weight: 1, displayOrder: 3 },
+      { emoji: '😮', label: 'Wow', weight: 1, displayOrder: 4 },
+      { emoji: '🙌', label: 'Celebrate', weight: 1, displayOrder: 5 }
+    ]
+  },
+  bookmarks: {
+    maxCollections: 50,
+    maxCollectionNameLength: 50,
+    maxNoteLength: 500
+  },
+  hashtags: {
+    maxFollowed: 100,
+    spikeCheckIntervalSeconds: parseInt(process.env.HASHTAG_SPIKE_CHECK_INTERVAL_SECONDS) || 300,
+    spikeWindowMinutes: 60, // recent activity compared against the baseline
+    spikeBaselineHours: 24,
+    spikeMultiplier: 3, // recent rate must be this many times the baseline rate
+    spikeMinPosts: 10, // minimum posts in the window to count as a spike
+    spikeCooldownHours: 12 // minimum time between spike notifications per follower and hashtag
+  },
+  anonymity: {
+    pseudonymSecret: process.env.PSEUDONYM_SECRET || 'pseudonym_secret_key_for_dev'
+  },
+  feed: {
+    rankingWindowDays: parseInt(process.env.FEED_RANKING_WINDOW_DAYS) || 7,
+    rankingCandidateLimit: parseInt(process.env.FEED_RANKING_CANDIDATE_LIMIT) || 500,
+    snapshotTtlMinutes: 60, // how long a ranked feed session can be paged through
+    affinityHistoryLimit: 200 // most recent interactions considered per signal
+  },
   moderation: {
     autoModerationEnabled: process.env.AUTO_MODERATION_ENABLED === 'true' || true,
     moderationApiKey: process.env.MODERATION_API_KEY
@@ -0,0 +1,78 @@
+// src/config/redis.js
+const { createClient } = require('redis');
+const config = require('./config');
+
+let client = null;
+
+/**
+ * Connect to Redis
+ * Redis is optional: if it can't be reached the caller falls back to
+ * in-process storage while the client keeps reconnecting in the background,
+ * so failures are logged rather than fatal.
+ * @returns {Promise<Object|null>} Connected client, or null if not available yet
+ */
+const connectRedis = async () => {
+  const redisClient = createClient({
+    socket: {
+      host: config.redis.host,
+      port: config.redis.port,
+      // Keep retrying with backoff so a Redis restart doesn't need an app restart
+      reconnectStrategy: (retries) => Math.min(retries * 200, config.redis.maxReconnectDelay)
+    },
+    password: config.redis.password
+  });
+
+  // Log the first error of an outage only, not every reconnect attempt
+  let reportedOutage = false;
+
+  redisClient.on('error', (error) => {
+    if (!reportedOutage) {
+      reportedOutage = true;
+      console.error('Redis error:', error.message);
+    }
+  });
+
+  redisClient.on('ready', () => {
+    reportedOutage = false;
+  });
+
+  client = redisClient;
+
+  // connect() only settles once Redis is reachable, so stop waiting at the first error
+  const connected = redisClient.connect().then(() => true, () => false);
+  const failed = new Promise(resolve => redisClient.once('error', () => resolve(false)));
+
+  if (await Promise.race([connected, failed])) {
+    console.log('✅ Redis connected successfully');
+  } else {
+    console.warn('⚠️ Redis unavailable, using in-memory fallback until it reconnects');
+  }
+
+  return getRedisClient();
+};
+
+/**
+ * Get the Redis client if it is connected and ready
+ * @returns {Object|null} Redis client, or null
+ */
+const getRedisClient = () => (client && client.isReady ? client : null);
+
+/**
+ * Close the Redis connection
+ */
+const disconnectRedis = async () => {
+  if (client && client.isReady) {
+    await client.quit();
+  } else if (client && client.isOpen) {
+    // Stop reconnecting; there is nothing to flush
+    await client.disconnect();
+  }
+
+  client = null;
+};
+
+module.exports = {
+  connectRedis,
+  getRedisClient,
+  disconnectRedis
+};
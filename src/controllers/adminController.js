@@ -4,7 +4,16 @@ const Post = require('../models/postModel');
 const Comment = require('../models/commentModel');
 const Report = require('../models/reportModel');
 const Notification = require('../models/notificationModel');
+const Reaction = require('../models/reactionModel');
+const ReactionType = require('../models/reactionTypeModel');
+const HashtagFollow = require('../models/hashtagFollowModel');
 const mongoose = require('mongoose');
+const config = require('../config/config');
+const postService = require('../services/postService');
+const reactionService = require('../services/reactionService');
+const anonymityService = require('../services/anonymityService');
+const settingsService = require('../services/settingsService');
+const tokenService = require('../services/tokenService');
 const { emitNotification } = require('../websocket');
 
 /**
@@ -168,9 +177,15 @@ exports.updateUser = async (req, res) => {
     // Save changes
     await user.save();
     
+    const io = req.app.get('io');
+    
+    // Deactivated users are logged out everywhere at once
+    if (isActive === false) {
+      await tokenService.endAllSessions(user._id, 'account_deactivated', io);
+    }
+    
     // Send notification to user if their status changed
     if (isActive !== undefined) {
-      const io = req.app.get('io');
       await this.createSystemNotification({
         userId: user._id,
         message: isActive 
@@ -225,6 +240,15 @@ exports.deleteUser = async (req, res) => {
       });
     }
     
+    // Live reposts stop counting as shares once the user's posts are gone
+    const reposts = await Post.find({
+      userId: user._id,
+      repostOf: { $exists: true, $ne: null },
+      visibility: { $ne: 'deleted' }
+    })
+      .select('repostOf')
+      .lean();
+    
     // Begin transaction
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -236,6 +260,8 @@ exports.deleteUser = async (req, res) => {
       await Report.deleteMany({ reporterId: user._id }, { session });
       await Notification.deleteMany({ userId: user._id }, { session });
       await Notification.deleteMany({ actorId: user._id }, { session });
+      await Reaction.deleteMany({ userId: user._id }, { session });
+      await HashtagFollow.deleteMany({ userId: user._id }, { session });
       
       // Delete the user
       await User.findByIdAndDelete(id, { session });
@@ -244,6 +270,10 @@ exports.deleteUser = async (req, res) => {
       await session.commitTransaction();
       session.endSession();
       
+      for (const repost of reposts) {
+        await postService.removeShare(repost.repostOf);
+      }
+      
       res.status(200).json({
         success: true,
         data: null,
@@ -330,14 +360,15 @@ exports.getAllPosts = async (req, res) => {
     const posts = await Post.find(query)
       .sort(sortOptions)
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit))
+      .lean();
     
     // Get total count for pagination
     const total = await Post.countDocuments(query);
     
     res.status(200).json({
       success: true,
-      data: { posts },
+      data: { posts: await anonymityService.attachRealAuthors(posts) },
       message: 'Posts retrieved successfully',
       error: null,
       meta: {
@@ -419,14 +450,15 @@ exports.getAllComments = async (req, res) => {
     const comments = await Comment.find(query)
       .sort(sortOptions)
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit))
+      .lean();
     
     // Get total count for pagination
     const total = await Comment.countDocuments(query);
     
     res.status(200).json({
       success: true,
-      data: { comments },
+      data: { comments: await anonymityService.attachRealAuthors(comments) },
       message: 'Comments retrieved successfully',
       error: null,
       meta: {
@@ -488,13 +520,28 @@ exports.deletePost = async (req, res) => {
       // Delete associated reports
       await Report.deleteMany({ contentType: 'post', contentId: post._id }, { session });
       
+      // Delete associated reactions
+      await Reaction.deleteMany({ targetType: 'post', targetId: post._id }, { session });
+      
       // Delete the post
       await Post.findByIdAndDelete(id, { session });
       
+      // Remove the post from pinned posts
+      await User.updateMany(
+        { pinnedPosts: post._id },
+        { $pull: { pinnedPosts: post._id } },
+        { session }
+      );
+      
       // Commit the transaction
       await session.commitTransaction();
       session.endSession();
       
+      // Reposts no longer count as a share of the original
+      if (post.repostOf && post.visibility !== 'deleted') {
+        await postService.removeShare(post.repostOf);
+      }
+      
       // Notify the user if requested
       if (notify === 'true') {
         const io = req.app.get('io');
@@ -568,6 +615,9 @@ exports.deleteComment = async (req, res) => {
       // Delete associated reports
       await Report.deleteMany({ contentType: 'comment', contentId: comment._id }, { session });
       
+      // Delete associated reactions
+      await Reaction.deleteMany({ targetType: 'comment', targetId: comment._id }, { session });
+      
       // Delete the comment
       await Comment.findByIdAndDelete(id, { session });
       
@@ -669,11 +719,15 @@ exports.getReports = async (req, res) => {
         const reportObj = report.toObject();
         
         if (report.contentType === 'post') {
-          const post = await Post.findById(report.contentId).select('content username userId');
-          reportObj.content = post || { message: 'Content not found' };
+          const post = await Post.findById(report.contentId).select('content username userId isAnonymous').lean();
+          reportObj.content = post
+            ? (await anonymityService.attachRealAuthors([post]))[0]
+            : { message: 'Content not found' };
         } else if (report.contentType === 'comment') {
-          const comment = await Comment.findById(report.contentId).select('content username userId postId');
-          reportObj.content = comment || { message: 'Content not found' };
+          const comment = await Comment.findById(report.contentId).select('content username userId postId isAnonymous').lean();
+          reportObj.content = comment
+            ? (await anonymityService.attachRealAuthors([comment]))[0]
+            : { message: 'Content not found' };
         } else if (report.contentType === 'user') {
           const user = await User.findById(report.contentId).select('username avatarUrl');
           reportObj.content = user || { message: 'User not found' };
@@ -852,6 +906,11 @@ exports.moderatePost = async (req, res) => {
     // Save updated post
     await post.save();
     
+    // Removed posts can no longer be pinned
+    if (action === 'remove') {
+      await postService.unpinPosts([post._id]);
+    }
+    
     // Send notification to post owner
     const io = req.app.get('io');
     const notificationMessage = action === 'restore' 
@@ -1083,26 +1142,24 @@ exports.getStatistics = async (req, res) => {
    const moderatedContent = await Post.countDocuments({ isModerated: true }) + 
                             await Comment.countDocuments({ isModerated: true });
    
-   // Calculate engagement metrics
-   const totalReactions = await Post.aggregate([
-     { 
-       $group: { 
-         _id: null,
-         total: { 
-           $sum: { 
-             $add: [
-               { $ifNull: ["$reactions.❤️", 0] },
-               { $ifNull: ["$reactions.👍", 0] },
-               { $ifNull: ["$reactions.😂", 0] },
-               { $ifNull: ["$reactions.😮", 0] },
-               { $ifNull: ["$reactions.🙌", 0] }
-             ] 
-           } 
-         } 
-       } 
+   // Calculate engagement metrics for each type in the reaction catalogue
+   const reactionTypes = await reactionService.getCatalogue();
+   const reactionTotals = await Post.aggregate([
+     {
+       $group: reactionTypes.reduce((group, type, index) => {
+         group[`type${index}`] = { $sum: { $ifNull: [`$reactions.${type.emoji}`, 0] } };
+         return group;
+       }, { _id: null })
      }
    ]);
    
+   const reactionsByType = reactionTypes.map((type, index) => ({
+     emoji: type.emoji,
+     label: type.label,
+     count: reactionTotals.length > 0 ? reactionTotals[0][`type${index}`] : 0
+   }));
+   const totalReactions = reactionsByType.reduce((total, type) => total + type.count, 0);
+   
    // Get post creation trend (last 30 days)
    const thirtyDaysAgo = new Date();
    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -1178,7 +1235,8 @@ exports.getStatistics = async (req, res) => {
          moderatedContent: moderatedContent
        },
        engagement: {
-         reactions: totalReactions.length > 0 ? totalReactions[0].total : 0,
+         reactions: totalReactions,
+         reactionsByType,
          commentsAverage: totalPosts > 0 ? (totalComments / totalPosts).toFixed(2) : 0
        },
        trends: {
@@ -1559,6 +1617,319 @@ exports.deleteCategory = async (req, res) => {
   }
 };
 
+/**
+ * Validate reaction type fields sent by an admin
+ * @param {Object} fields - emoji, label, weight, displayOrder, isEnabled
+ * @param {Boolean} isCreate - Whether emoji and label are required
+ * @returns {String|null} Error details, or null if valid
+ */
+const validateReactionTypeFields = (fields, isCreate) => {
+  const { emoji, label, weight, displayOrder, isEnabled } = fields;
+
+  if (isCreate || emoji !== undefined) {
+    if (typeof emoji !== 'string' || emoji.trim().length === 0) {
+      return 'Emoji must be a non-empty string';
+    }
+
+    if (emoji.trim().length > config.reactions.maxEmojiLength) {
+      return `Emoji cannot be longer than ${config.reactions.maxEmojiLength} characters`;
+    }
+
+    // Emoji are used as counter keys on posts and comments
+    if (emoji.includes('.') || emoji.startsWith('$')) {
+      return 'Emoji cannot contain "." or start with "$"';
+    }
+  }
+
+  if (isCreate || label !== undefined) {
+    if (typeof label !== 'string' || label.trim().length === 0) {
+      return 'Label must be a non-empty string';
+    }
+  }
+
+  if (weight !== undefined && (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+    return 'Weight must be a non-negative number';
+  }
+
+  if (displayOrder !== undefined && !Number.isInteger(displayOrder)) {
+    return 'Display order must be an integer';
+  }
+
+  if (isEnabled !== undefined && typeof isEnabled !== 'boolean') {
+    return 'Enabled flag must be a boolean';
+  }
+
+  return null;
+};
+
+/**
+ * Get the reaction catalogue (admin)
+ * @route GET /api/admin/reactions
+ */
+exports.getReactionTypes = async (req, res) => {
+  try {
+    const reactionTypes = await reactionService.getCatalogue();
+    
+    res.status(200).json({
+      success: true,
+      data: { reactionTypes },
+      message: 'Reaction types retrieved successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve reaction types',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Add a reaction type to the catalogue
+ * @route POST /api/admin/reactions
+ */
+exports.createReactionType = async (req, res) => {
+  try {
+    const { emoji, label, weight, displayOrder, isEnabled } = req.body;
+    
+    const validationError = validateReactionTypeFields(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid reaction type',
+        error: {
+          code: 'ADMIN_005',
+          details: validationError
+        },
+        meta: {}
+      });
+    }
+    
+    // Make sure the defaults are seeded before checking for duplicates
+    await reactionService.getCatalogue();
+    
+    const existingType = await ReactionType.findOne({ emoji: emoji.trim() });
+    if (existingType) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'This reaction already exists',
+        error: {
+          code: 'ADMIN_006',
+          details: 'Reaction emoji must be unique'
+        },
+        meta: {}
+      });
+    }
+    
+    const reactionType = await ReactionType.create({
+      emoji: emoji.trim(),
+      label: label.trim(),
+      weight: weight !== undefined ? weight : 1,
+      displayOrder: displayOrder || 0,
+      isEnabled: isEnabled !== undefined ? isEnabled : true
+    });
+    
+    reactionService.clearCatalogueCache();
+    
+    res.status(201).json({
+      success: true,
+      data: { reactionType },
+      message: 'Reaction type created successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to create reaction type',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Update a reaction type
+ * @route PATCH /api/admin/reactions/:id
+ */
+exports.updateReactionType = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { emoji, label, weight, displayOrder, isEnabled } = req.body;
+    
+    const reactionType = await ReactionType.findById(id);
+    
+    if (!reactionType) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Reaction type not found',
+        error: {
+          code: 'ADMIN_007',
+          details: 'The requested reaction type does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    let validationError = validateReactionTypeFields(
+      { label, weight, displayOrder, isEnabled },
+      false
+    );
+    
+    // Existing counters and reactions are keyed by the emoji
+    if (!validationError && emoji !== undefined && emoji !== reactionType.emoji) {
+      validationError = 'Emoji cannot be changed; add a new reaction type instead';
+    }
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid reaction type',
+        error: {
+          code: 'ADMIN_005',
+          details: validationError
+        },
+        meta: {}
+      });
+    }
+    
+    // Update fields if provided
+    if (label !== undefined) reactionType.label = label.trim();
+    if (weight !== undefined) reactionType.weight = weight;
+    if (displayOrder !== undefined) reactionType.displayOrder = displayOrder;
+    if (isEnabled !== undefined) reactionType.isEnabled = isEnabled;
+    
+    await reactionType.save();
+    
+    reactionService.clearCatalogueCache();
+    
+    res.status(200).json({
+      success: true,
+      data: { reactionType },
+      message: 'Reaction type updated successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to update reaction type',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Remove a reaction type from the catalogue
+ * Types that have been used can only be disabled.
+ * @route DELETE /api/admin/reactions/:id
+ */
+exports.deleteReactionType = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const reactionType = await ReactionType.findById(id);
+    
+    if (!reactionType) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Reaction type not found',
+        error: {
+          code: 'ADMIN_007',
+          details: 'The requested reaction type does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    if (await reactionService.isReactionTypeInUse(reactionType.emoji)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Reaction type is in use',
+        error: {
+          code: 'ADMIN_008',
+          details: 'Reactions of this type exist; disable it instead'
+        },
+        meta: {}
+      });
+    }
+    
+    await ReactionType.findByIdAndDelete(id);
+    
+    reactionService.clearCatalogueCache();
+    
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Reaction type deleted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to delete reaction type',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+* Get system settings
+* @route GET /api/admin/settings
+*/
+exports.getSettings = async (req, res) => {
+ try {
+   const settings = await settingsService.getSystemSettings();
+
+   res.status(200).json({
+     success: true,
+     data: { settings },
+     message: 'System settings retrieved successfully',
+     error: null,
+     meta: {}
+   });
+ } catch (error) {
+   res.status(500).json({
+     success: false,
+     data: null,
+     message: 'Failed to retrieve system settings',
+     error: {
+       code: 'SERVER_001',
+       details: error.message
+     },
+     meta: {}
+   });
+ }
+};
+
 /**
 * Update system settings
 * @route PATCH /api/admin/settings
@@ -1566,18 +1937,47 @@ exports.deleteCategory = async (req, res) => {
 exports.updateSettings = async (req, res) => {
  try {
    const { settings } = req.body;
-   
-   // In a real application, this would update system settings in a database
-   // For this implementation, we'll return a placeholder response
-   
+
+   const invalidKeys = settings && typeof settings === 'object' && !Array.isArray(settings)
+     ? Object.keys(settings).filter(key =>
+       !settingsService.SETTING_KEYS.includes(key) || typeof settings[key] !== 'boolean')
+     : null;
+
+   if (!invalidKeys || invalidKeys.length > 0 || Object.keys(settings).length === 0) {
+     return res.status(400).json({
+       success: false,
+       data: null,
+       message: 'Invalid settings',
+       error: {
+         code: 'ADMIN_009',
+         details: `Settings must be an object of boolean values for: ${settingsService.SETTING_KEYS.join(', ')}`
+       },
+       meta: {}
+     });
+   }
+
+   // Requiring 2FA without having it would lock this admin out of new admin sessions
+   if (settings.requireAdminTwoFactor && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+     return res.status(403).json({
+       success: false,
+       data: null,
+       message: 'Enable two-factor authentication first',
+       error: {
+         code: 'ADMIN_010',
+         details: 'You must enable two-factor authentication on your own account before requiring it for admins'
+       },
+       meta: {}
+     });
+   }
+
+   const updatedSettings = await settingsService.updateSystemSettings(settings, req.user._id);
+
    res.status(200).json({
      success: true,
-     data: { settings },
+     data: { settings: updatedSettings },
      message: 'System settings updated successfully',
      error: null,
-     meta: {
-       note: 'This is a placeholder implementation. In a real application, this would update actual system settings.'
-     }
+     meta: {}
    });
  } catch (error) {
    res.status(500).json({
@@ -2,10 +2,122 @@
 const User = require('../models/userModel');
 const Token = require('../models/tokenModel');
 const { generateTokens, verifyToken } = require('../utils/authUtils');
+const twoFactorService = require('../services/twoFactorService');
+const tokenService = require('../services/tokenService');
+const loginSecurityService = require('../services/loginSecurityService');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 
+/**
+ * Issue tokens, record the session and send the login response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ * @param {Boolean} isAdminSession - Whether this is an admin session
+ */
+const sendLoginResponse = async (req, res, user, isAdminSession) => {
+  // Generate tokens
+  const deviceInfo = req.headers['user-agent'] || 'Unknown device';
+  const ipAddress = req.ip;
+  const tokens = await generateTokens(user, deviceInfo, ipAddress, isAdminSession);
+
+  // Compare with earlier logins before this one joins the history
+  const anomalies = await loginSecurityService.recordSuccessfulLogin(user, { deviceInfo, ipAddress });
+  if (anomalies.length > 0) {
+    await loginSecurityService.notifySuspiciousLogin(user, { deviceInfo, ipAddress }, req.app.get('io'));
+  }
+
+  // Update user's active sessions and last active timestamp
+  await User.findByIdAndUpdate(user._id, {
+    lastActive: new Date(),
+    $push: {
+      activeSessions: {
+        sessionId: tokens.familyId,
+        deviceInfo,
+        ipAddress,
+        lastActive: new Date()
+      }
+    }
+  });
+
+  // Remove sensitive data before sending response
+  const userResponse = isAdminSession
+    ? {
+      _id: user._id,
+      username: user.username,
+      avatarUrl: user.avatarUrl,
+      isAdmin: user.isAdmin,
+      createdAt: user.createdAt,
+      settings: user.settings
+    }
+    : {
+      _id: user._id,
+      username: user.username,
+      avatarUrl: user.avatarUrl,
+      createdAt: user.createdAt,
+      settings: user.settings,
+      activityMetrics: user.activityMetrics,
+      contentSettings: user.contentSettings
+    };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: userResponse,
+      tokens: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        accessTokenExpiry: tokens.accessTokenExpiry,
+        refreshTokenExpiry: tokens.refreshTokenExpiry
+      }
+    },
+    message: isAdminSession ? 'Admin login successful' : 'Login successful',
+    error: null,
+    meta: {}
+  });
+};
+
+/**
+ * Refuse a login because the account is locked out
+ * Looks like a wrong password so lockouts don't reveal which accounts exist;
+ * the lockout details only go out in the unlock email.
+ * @param {Object} res - Express response
+ */
+const sendAccountLocked = (res) => {
+  res.status(401).json({
+    success: false,
+    data: null,
+    message: 'Invalid credentials',
+    error: {
+      code: 'AUTH_001',
+      details: 'Invalid username or password'
+    },
+    meta: {}
+  });
+};
+
+/**
+ * Ask for the second factor instead of issuing tokens
+ * @param {Object} res - Express response
+ * @param {Object} user - User who passed the password step
+ * @param {Boolean} isAdminSession - Whether the login is for an admin session
+ */
+const sendTwoFactorChallenge = (res, user, isAdminSession) => {
+  const { challengeToken, challengeExpiry } = twoFactorService.createChallengeToken(user, isAdminSession);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      twoFactorRequired: true,
+      challengeToken,
+      challengeExpiry
+    },
+    message: 'Two-factor authentication code required',
+    error: null,
+    meta: {}
+  });
+};
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -67,7 +179,7 @@ exports.register = async (req, res) => {
       await User.findByIdAndUpdate(user._id, {
         $push: {
           activeSessions: {
-            sessionId: crypto.randomBytes(16).toString('hex'),
+            sessionId: tokens.familyId,
             deviceInfo,
             ipAddress,
             lastActive: new Date()
@@ -277,9 +389,19 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Refuse locked accounts before checking the password
+    if (loginSecurityService.isLocked(user)) {
+      return sendAccountLocked(res);
+    }
+
     // Check if password is correct
     const isPasswordCorrect = await user.comparePassword(password);
     if (!isPasswordCorrect) {
+      const { locked } = await loginSecurityService.recordFailedLogin(user);
+      if (locked) {
+        return sendAccountLocked(res);
+      }
+
       return res.status(401).json({
         success: false,
         data: null,
@@ -306,50 +428,12 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate tokens
-    const deviceInfo = req.headers['user-agent'] || 'Unknown device';
-    const ipAddress = req.ip;
-    const tokens = await generateTokens(user, deviceInfo, ipAddress);
-
-    // Update user's active sessions and last active timestamp
-    await User.findByIdAndUpdate(user._id, {
-      lastActive: new Date(),
-      $push: {
-        activeSessions: {
-          sessionId: crypto.randomBytes(16).toString('hex'),
-          deviceInfo,
-          ipAddress,
-          lastActive: new Date()
-        }
-      }
-    });
-
-    // Remove sensitive data before sending response
-    const userResponse = {
-      _id: user._id,
-      username: user.username,
-      avatarUrl: user.avatarUrl,
-      createdAt: user.createdAt,
-      settings: user.settings,
-      activityMetrics: user.activityMetrics,
-      contentSettings: user.contentSettings
-    };
+    // Ask for the second factor before issuing tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user, false);
+    }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        user: userResponse,
-        tokens: {
-          accessToken: tokens.accessToken,
-          refreshToken: tokens.refreshToken,
-          accessTokenExpiry: tokens.accessTokenExpiry,
-          refreshTokenExpiry: tokens.refreshTokenExpiry
-        }
-      },
-      message: 'Login successful',
-      error: null,
-      meta: {}
-    });
+    await sendLoginResponse(req, res, user, false);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -387,9 +471,19 @@ exports.adminLogin = async (req, res) => {
         });
       }
   
+      // Refuse locked accounts before checking the password
+      if (loginSecurityService.isLocked(user)) {
+        return sendAccountLocked(res);
+      }
+
       // Check if password is correct
       const isPasswordCorrect = await user.comparePassword(password);
       if (!isPasswordCorrect) {
+        const { locked } = await loginSecurityService.recordFailedLogin(user);
+        if (locked) {
+          return sendAccountLocked(res);
+        }
+
         return res.status(401).json({
           success: false,
           data: null,
@@ -430,49 +524,28 @@ exports.adminLogin = async (req, res) => {
         });
       }
   
-      // Generate tokens
-      const deviceInfo = req.headers['user-agent'] || 'Unknown device';
-      const ipAddress = req.ip;
-      const tokens = await generateTokens(user, deviceInfo, ipAddress, true);
+      const twoFactorEnabled = !!(user.twoFactor && user.twoFactor.enabled);
   
-      // Update user's active sessions and last active timestamp
-      await User.findByIdAndUpdate(user._id, {
-        lastActive: new Date(),
-        $push: {
-          activeSessions: {
-            sessionId: crypto.randomBytes(16).toString('hex'),
-            deviceInfo,
-            ipAddress,
-            lastActive: new Date()
-          }
-        }
-      });
+      // Admins may require two-factor authentication for every admin session
+      if (!twoFactorEnabled && await twoFactorService.isRequiredForAdminSessions()) {
+        return res.status(403).json({
+          success: false,
+          data: null,
+          message: 'Two-factor authentication required',
+          error: {
+            code: 'AUTH_011',
+            details: 'Set up two-factor authentication before logging in to an admin session'
+          },
+          meta: {}
+        });
+      }
   
-      // Remove sensitive data before sending response
-      const userResponse = {
-        _id: user._id,
-        username: user.username,
-        avatarUrl: user.avatarUrl,
-        isAdmin: user.isAdmin,
-        createdAt: user.createdAt,
-        settings: user.settings
-      };
+      // Ask for the second factor before issuing tokens
+      if (twoFactorEnabled) {
+        return sendTwoFactorChallenge(res, user, true);
+      }
   
-      res.status(200).json({
-        success: true,
-        data: {
-          user: userResponse,
-          tokens: {
-            accessToken: tokens.accessToken,
-            refreshToken: tokens.refreshToken,
-            accessTokenExpiry: tokens.accessTokenExpiry,
-            refreshTokenExpiry: tokens.refreshTokenExpiry
-          }
-        },
-        message: 'Admin login successful',
-        error: null,
-        meta: {}
-      });
+      await sendLoginResponse(req, res, user, true);
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -487,6 +560,396 @@ exports.adminLogin = async (req, res) => {
     }
   };
 
+/**
+ * Complete a login with a two-factor code or backup code
+ * @route POST /api/auth/login/2fa
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const challenge = twoFactorService.verifyChallengeToken(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Login challenge is invalid or has expired',
+        error: {
+          code: 'AUTH_012',
+          details: 'Log in with your password again'
+        },
+        meta: {}
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
+
+    // The account may have changed since the password step
+    if (!user || !user.isActive || (challenge.isAdminSession && !user.isAdmin)) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Login challenge is invalid or has expired',
+        error: {
+          code: 'AUTH_012',
+          details: 'Log in with your password again'
+        },
+        meta: {}
+      });
+    }
+
+    if (loginSecurityService.isLocked(user)) {
+      return sendAccountLocked(res);
+    }
+
+    const isValid = await twoFactorService.verifySecondFactor(user._id, { code, backupCode });
+
+    if (!isValid) {
+      // Wrong codes count towards the lockout like wrong passwords
+      const { locked } = await loginSecurityService.recordFailedLogin(user);
+      if (locked) {
+        return sendAccountLocked(res);
+      }
+
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Invalid two-factor code',
+        error: {
+          code: 'AUTH_013',
+          details: 'The authenticator code or backup code is incorrect or already used'
+        },
+        meta: {}
+      });
+    }
+
+    await sendLoginResponse(req, res, user, challenge.isAdminSession);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Login failed',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Start two-factor enrolment
+ * Returns a new secret to add to an authenticator app; it takes effect once confirmed.
+ * @route POST /api/auth/2fa/setup
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Two-factor authentication is already enabled',
+        error: {
+          code: 'AUTH_014',
+          details: 'Disable two-factor authentication before setting it up again'
+        },
+        meta: {}
+      });
+    }
+
+    const enrolment = await twoFactorService.startEnrolment(user);
+
+    res.status(200).json({
+      success: true,
+      data: enrolment,
+      message: 'Two-factor setup started',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to start two-factor setup',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Confirm two-factor enrolment with a code from the authenticator app
+ * The backup codes are only ever shown in this response.
+ * @route POST /api/auth/2fa/confirm
+ */
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Two-factor authentication is already enabled',
+        error: {
+          code: 'AUTH_014',
+          details: 'Two-factor authentication is already active on this account'
+        },
+        meta: {}
+      });
+    }
+
+    const backupCodes = await twoFactorService.confirmEnrolment(user._id, code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid two-factor code',
+        error: {
+          code: 'AUTH_013',
+          details: 'Start the setup first and enter the current code from your authenticator app'
+        },
+        meta: {}
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { backupCodes },
+      message: 'Two-factor authentication enabled',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to confirm two-factor setup',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * Requires the password and a current code or backup code.
+ * @route POST /api/auth/2fa/disable
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Two-factor authentication is not enabled',
+        error: {
+          code: 'AUTH_015',
+          details: 'There is no two-factor authentication to disable'
+        },
+        meta: {}
+      });
+    }
+
+    const isPasswordCorrect = await user.comparePassword(password);
+    if (!isPasswordCorrect) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Current password is incorrect',
+        error: {
+          code: 'AUTH_001',
+          details: 'The provided current password is incorrect'
+        },
+        meta: {}
+      });
+    }
+
+    // Admins would lock themselves out of admin sessions
+    if (user.isAdmin && await twoFactorService.isRequiredForAdminSessions()) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Two-factor authentication is required for admins',
+        error: {
+          code: 'AUTH_016',
+          details: 'Admin sessions require two-factor authentication, so it cannot be disabled'
+        },
+        meta: {}
+      });
+    }
+
+    const isValid = await twoFactorService.verifySecondFactor(user._id, { code, backupCode });
+
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Invalid two-factor code',
+        error: {
+          code: 'AUTH_013',
+          details: 'The authenticator code or backup code is incorrect or already used'
+        },
+        meta: {}
+      });
+    }
+
+    await twoFactorService.disable(user._id);
+
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Two-factor authentication disabled',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to disable two-factor authentication',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Replace the backup codes with a fresh set
+ * Requires a current authenticator code; previous backup codes stop working.
+ * @route POST /api/auth/2fa/backup-codes
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Two-factor authentication is not enabled',
+        error: {
+          code: 'AUTH_015',
+          details: 'Set up two-factor authentication to get backup codes'
+        },
+        meta: {}
+      });
+    }
+
+    const isValid = await twoFactorService.verifyTotpCode(user._id, code);
+
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Invalid two-factor code',
+        error: {
+          code: 'AUTH_013',
+          details: 'The authenticator code is incorrect or already used'
+        },
+        meta: {}
+      });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { backupCodes },
+      message: 'Backup codes regenerated',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to regenerate backup codes',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Unlock an account locked after repeated failed logins
+ * @route POST /api/auth/unlock-account
+ */
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Unlock token is required',
+        error: {
+          code: 'AUTH_020',
+          details: 'Token must be provided'
+        },
+        meta: {}
+      });
+    }
+
+    const user = await loginSecurityService.unlockAccount(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid or expired unlock token',
+        error: {
+          code: 'AUTH_020',
+          details: 'The unlock token is invalid or has expired'
+        },
+        meta: {}
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Account unlocked successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to unlock account',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
 /**
  * Refresh access token
  * @route POST /api/auth/refresh-token
@@ -508,32 +971,28 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken, 'refresh');
-
-    // Check if token exists in database and is not revoked
-    const tokenDoc = await Token.findOne({
-      token: refreshToken,
-      userId: decoded.userId,
-      type: 'refresh',
-      isRevoked: false
-    });
+    // Exchange the refresh token; it can't be used again afterwards
+    const deviceInfo = req.headers['user-agent'] || 'Unknown device';
+    const { tokens, reason } = await tokenService.rotateRefreshToken(
+      refreshToken,
+      { deviceInfo, ipAddress: req.ip },
+      req.app.get('io')
+    );
 
-    if (!tokenDoc) {
+    if (reason === 'reused') {
       return res.status(401).json({
         success: false,
         data: null,
-        message: 'Invalid refresh token',
+        message: 'Refresh token has already been used',
         error: {
-          code: 'AUTH_002',
-          details: 'Refresh token is invalid or has been revoked'
+          code: 'AUTH_017',
+          details: 'This refresh token was already exchanged, so the session has been signed out for safety'
         },
         meta: {}
       });
     }
 
-    // Check if token is expired
-    if (new Date(tokenDoc.expiresAt) < new Date()) {
+    if (reason === 'expired') {
       return res.status(401).json({
         success: false,
         data: null,
@@ -546,9 +1005,7 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    // Get user
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
+    if (reason === 'inactive') {
       return res.status(401).json({
         success: false,
         data: null,
@@ -561,39 +1018,38 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new access token
-    const payload = {
-      userId: user._id,
-      username: user.username
-    };
-
-    const newAccessToken = jwt.sign(
-      payload,
-      config.jwt.accessTokenSecret,
-      { expiresIn: config.jwt.accessTokenExpiry }
-    );
-
-    // Calculate new access token expiry
-    const accessTokenExpiry = new Date();
-    accessTokenExpiry.setMinutes(accessTokenExpiry.getMinutes() + 15); // 15 minutes
+    if (reason) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Invalid refresh token',
+        error: {
+          code: 'AUTH_002',
+          details: 'Refresh token is invalid or has been revoked'
+        },
+        meta: {}
+      });
+    }
 
     res.status(200).json({
       success: true,
       data: {
-        accessToken: newAccessToken,
-        accessTokenExpiry
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        accessTokenExpiry: tokens.accessTokenExpiry,
+        refreshTokenExpiry: tokens.refreshTokenExpiry
       },
-      message: 'Access token refreshed successfully',
+      message: 'Tokens refreshed successfully',
       error: null,
       meta: {}
     });
   } catch (error) {
-    res.status(401).json({
+    res.status(500).json({
       success: false,
       data: null,
       message: 'Failed to refresh token',
       error: {
-        code: 'AUTH_002',
+        code: 'SERVER_001',
         details: error.message
       },
       meta: {}
@@ -750,11 +1206,8 @@ exports.resetPassword = async (req, res) => {
         user.passwordHash = newPassword;
         await user.save();
         
-        // Revoke all refresh tokens for security
-        await Token.updateMany(
-            { userId: user._id },
-            { isRevoked: true }
-        );
+        // End all sessions for security
+        await tokenService.endAllSessions(user._id, 'password_reset', req.app.get('io'));
         
         res.status(200).json({
             success: true,
@@ -848,11 +1301,8 @@ exports.resetPassword = async (req, res) => {
         user.passwordHash = newPassword;
         await user.save();
         
-        // Revoke all refresh tokens for security
-        await Token.updateMany(
-            { userId: user._id },
-            { isRevoked: true }
-        );
+        // End all sessions for security
+        await tokenService.endAllSessions(user._id, 'password_reset', req.app.get('io'));
         
         res.status(200).json({
             success: true,
@@ -899,20 +1349,10 @@ exports.logout = async (req, res) => {
     // Verify refresh token
     const decoded = verifyToken(refreshToken, 'refresh');
 
-    // Revoke the refresh token
-    await Token.findOneAndUpdate(
-      { token: refreshToken, userId: decoded.userId },
-      { isRevoked: true }
-    );
-
-    // Remove the session from active sessions
-    if (req.user) {
-      const deviceInfo = req.headers['user-agent'] || 'Unknown device';
-      await User.findByIdAndUpdate(req.user._id, {
-        $pull: {
-          activeSessions: { deviceInfo }
-        }
-      });
+    // Revoke the refresh token family and end its session
+    const tokenDoc = await Token.findOne({ token: refreshToken, userId: decoded.userId });
+    if (tokenDoc) {
+      await tokenService.revokeFamily(tokenDoc, 'logout', req.app.get('io'));
     }
 
     res.status(200).json({
@@ -964,11 +1404,8 @@ exports.changePassword = async (req, res) => {
     user.passwordHash = newPassword;
     await user.save();
 
-    // Revoke all refresh tokens for security
-    await Token.updateMany(
-      { userId: user._id },
-      { isRevoked: true }
-    );
+    // End all sessions for security
+    await tokenService.endAllSessions(user._id, 'password_change', req.app.get('io'));
 
     res.status(200).json({
       success: true,
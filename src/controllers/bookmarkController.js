@@ -0,0 +1,337 @@
+// src/controllers/bookmarkController.js
+const BookmarkCollection = require('../models/bookmarkCollectionModel');
+const SavedPost = require('../models/savedPostModel');
+const bookmarkService = require('../services/bookmarkService');
+const config = require('../config/config');
+
+/**
+ * Send a validation error response
+ * @param {Object} res - Express response
+ * @param {Object} error - Validation error
+ */
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    data: null,
+    message: error.message,
+    error: {
+      code: error.code,
+      details: error.details
+    },
+    meta: {}
+  });
+};
+
+/**
+ * Send a collection not found response
+ * @param {Object} res - Express response
+ */
+const sendCollectionNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    data: null,
+    message: 'Collection not found',
+    error: {
+      code: 'BOOKMARK_003',
+      details: 'The requested collection does not exist'
+    },
+    meta: {}
+  });
+};
+
+/**
+ * Get the current user's bookmark collections
+ * @route GET /api/posts/saved/collections
+ */
+exports.getCollections = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const collections = await BookmarkCollection.find({ userId: user._id })
+      .sort({ name: 1 })
+      .lean();
+
+    // Count saves per collection, including unsorted saves
+    const counts = await SavedPost.aggregate([
+      { $match: { userId: user._id } },
+      { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(count => [String(count._id), count.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        collections: collections.map(collection => ({
+          ...collection,
+          saveCount: countsById.get(collection._id.toString()) || 0
+        })),
+        unsortedCount: countsById.get('null') || 0
+      },
+      message: 'Collections retrieved successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve collections',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Create a bookmark collection
+ * @route POST /api/posts/saved/collections
+ */
+exports.createCollection = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const nameResult = bookmarkService.validateCollectionName(req.body.name);
+
+    if (!nameResult.valid) {
+      return sendValidationError(res, {
+        message: 'Invalid collection name',
+        code: 'BOOKMARK_001',
+        details: nameResult.details
+      });
+    }
+
+    const collectionCount = await BookmarkCollection.countDocuments({ userId: user._id });
+
+    if (collectionCount >= config.bookmarks.maxCollections) {
+      return sendValidationError(res, {
+        message: 'Collection limit reached',
+        code: 'BOOKMARK_004',
+        details: `You can have up to ${config.bookmarks.maxCollections} collections`
+      });
+    }
+
+    const existingCollection = await BookmarkCollection.exists({
+      userId: user._id,
+      name: nameResult.name
+    });
+
+    if (existingCollection) {
+      return sendValidationError(res, {
+        message: 'A collection with this name already exists',
+        code: 'BOOKMARK_002',
+        details: 'Collection names must be unique'
+      });
+    }
+
+    const collection = await BookmarkCollection.create({
+      userId: user._id,
+      name: nameResult.name
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { collection },
+      message: 'Collection created successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to create collection',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Rename a bookmark collection
+ * @route PATCH /api/posts/saved/collections/:collectionId
+ */
+exports.updateCollection = async (req, res) => {
+  try {
+    const user = req.user;
+    const { collectionId } = req.params;
+
+    const collection = await bookmarkService.findCollection(user._id, collectionId);
+
+    if (!collection) {
+      return sendCollectionNotFound(res);
+    }
+
+    const nameResult = bookmarkService.validateCollectionName(req.body.name);
+
+    if (!nameResult.valid) {
+      return sendValidationError(res, {
+        message: 'Invalid collection name',
+        code: 'BOOKMARK_001',
+        details: nameResult.details
+      });
+    }
+
+    const existingCollection = await BookmarkCollection.exists({
+      userId: user._id,
+      name: nameResult.name,
+      _id: { $ne: collection._id }
+    });
+
+    if (existingCollection) {
+      return sendValidationError(res, {
+        message: 'A collection with this name already exists',
+        code: 'BOOKMARK_002',
+        details: 'Collection names must be unique'
+      });
+    }
+
+    collection.name = nameResult.name;
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      data: { collection },
+      message: 'Collection updated successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to update collection',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Delete a bookmark collection
+ * Saves in the collection are kept and become unsorted.
+ * @route DELETE /api/posts/saved/collections/:collectionId
+ */
+exports.deleteCollection = async (req, res) => {
+  try {
+    const user = req.user;
+    const { collectionId } = req.params;
+
+    const collection = await bookmarkService.findCollection(user._id, collectionId);
+
+    if (!collection) {
+      return sendCollectionNotFound(res);
+    }
+
+    await SavedPost.updateMany(
+      { userId: user._id, collectionId: collection._id },
+      { collectionId: null }
+    );
+
+    await BookmarkCollection.deleteOne({ _id: collection._id });
+
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Collection deleted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to delete collection',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Move a save to another collection or change its note
+ * Pass collectionId: null to move the save out of its collection.
+ * @route PATCH /api/posts/:id/save
+ */
+exports.updateSave = async (req, res) => {
+  try {
+    const user = req.user;
+    const { id } = req.params;
+    const { collectionId, note } = req.body;
+
+    const savedPost = await SavedPost.findOne({ userId: user._id, postId: id });
+
+    if (!savedPost) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not in saved list',
+        error: {
+          code: 'POST_009',
+          details: 'User has not saved this post'
+        },
+        meta: {}
+      });
+    }
+
+    if (collectionId !== undefined) {
+      if (collectionId === null) {
+        savedPost.collectionId = null;
+      } else {
+        const collection = await bookmarkService.findCollection(user._id, collectionId);
+
+        if (!collection) {
+          return sendCollectionNotFound(res);
+        }
+
+        savedPost.collectionId = collection._id;
+      }
+    }
+
+    if (note !== undefined) {
+      const noteResult = bookmarkService.validateNote(note);
+
+      if (!noteResult.valid) {
+        return sendValidationError(res, {
+          message: 'Invalid note',
+          code: 'BOOKMARK_005',
+          details: noteResult.details
+        });
+      }
+
+      savedPost.note = noteResult.note;
+    }
+
+    await savedPost.save();
+
+    res.status(200).json({
+      success: true,
+      data: { savedPost },
+      message: 'Saved post updated successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to update saved post',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
@@ -5,7 +5,12 @@ const User = require('../models/userModel');
 const notificationService = require('../services/notificationService');
 const giphyService = require('../services/giphyService');
 const moderationService = require('../services/moderationService');
-const { containsSensitiveContent } = require('../utils/postUtils');
+const commentService = require('../services/commentService');
+const anonymityService = require('../services/anonymityService');
+const reactionService = require('../services/reactionService');
+const config = require('../config/config');
+const mongoose = require('mongoose');
+const { containsSensitiveContent, canViewPost, isPostExpired, detectLanguage } = require('../utils/postUtils');
 const { emitNewComment, emitCommentUpdate, emitCommentDeletion } = require('../websocket');
 
 /**
@@ -35,7 +40,7 @@ exports.addComment = async (req, res) => {
     // Find the post
     const post = await Post.findById(postId);
     
-    if (!post) {
+    if (!post || !canViewPost(post, user)) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -62,6 +67,22 @@ exports.addComment = async (req, res) => {
       });
     }
     
+    // Check the author's comment settings
+    const permissionError = commentService.checkCommentPermission(post, user);
+    
+    if (permissionError) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: permissionError.message,
+        error: {
+          code: permissionError.code,
+          details: permissionError.details
+        },
+        meta: {}
+      });
+    }
+    
     // Check for auto-moderation if enabled in user settings
     let visibility = 'public';
     let isModerated = false;
@@ -100,11 +121,14 @@ exports.addComment = async (req, res) => {
     }
     
     // Create the comment
+    // Commenters on anonymous posts get their own pseudonym for the post
     const comment = await Comment.create({
       postId,
       userId: user._id,
-      username: user.username,
+      username: post.isAnonymous ? anonymityService.getPseudonym(post._id, user._id) : user.username,
+      isAnonymous: post.isAnonymous,
       content: content || '',
+      language: detectLanguage(content),
       gifUrl: finalGifUrl,
       gifId: gifId,
       visibility,
@@ -124,7 +148,7 @@ exports.addComment = async (req, res) => {
     
     // Update post engagement score
     const updatedPost = await Post.findById(postId);
-    updatedPost.updateEngagementScore();
+    updatedPost.updateEngagementScore(await reactionService.getReactionWeights());
     await updatedPost.save();
     
     // Get Socket.io instance
@@ -141,16 +165,19 @@ exports.addComment = async (req, res) => {
     if (content) {
       await notificationService.processMentions(content, {
         type: 'comment',
-        id: comment._id
+        id: comment._id,
+        post,
+        pseudonym: comment.isAnonymous ? comment.username : undefined
       }, user, io);
     }
     
     // Emit new comment event through WebSocket
-    emitNewComment(io, postId, comment);
+    const commentObject = comment.toObject();
+    emitNewComment(io, postId, anonymityService.maskAuthor(commentObject));
     
     res.status(201).json({
       success: true,
-      data: { comment },
+      data: { comment: anonymityService.maskAuthor(commentObject, user) },
       message: 'Comment added successfully',
       error: null,
       meta: {}
@@ -183,7 +210,7 @@ exports.getComments = async (req, res) => {
     // Check if post exists
     const post = await Post.findById(postId);
     
-    if (!post) {
+    if (!post || !canViewPost(post, user)) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -203,9 +230,15 @@ exports.getComments = async (req, res) => {
       visibility: 'public'
     };
     
+    // The pinned comment is listed separately at the top of the first page
+    const pinnedCommentId = post.commentSettings && post.commentSettings.pinnedCommentId;
+    if (pinnedCommentId) {
+      query._id = { $ne: pinnedCommentId };
+    }
+    
     // Apply cursor-based pagination if cursor is provided
     if (cursor) {
-      query._id = { $lt: cursor };
+      query._id = { ...query._id, $lt: cursor };
     }
     
     // Get comments
@@ -235,9 +268,31 @@ exports.getComments = async (req, res) => {
       ? filteredComments[filteredComments.length - 1]._id 
       : null;
     
+    // Get the pinned comment for the first page
+    let pinnedComments = [];
+    if (pinnedCommentId && !cursor) {
+      const pinnedComment = await Comment.findOne({
+        _id: pinnedCommentId,
+        visibility: 'public'
+      }).lean();
+      
+      const isFromBlockedUser = pinnedComment && user && user.blockedUsers.some(
+        id => id.toString() === pinnedComment.userId.toString()
+      );
+      
+      if (pinnedComment && !isFromBlockedUser) {
+        pinnedComments = [{ ...pinnedComment, isPinned: true }];
+      }
+    }
+    
+    const preparedComments = await commentService.prepareCommentsForViewer(
+      [...pinnedComments, ...filteredComments],
+      user
+    );
+    
     res.status(200).json({
       success: true,
-      data: { comments: filteredComments },
+      data: { comments: preparedComments },
       message: 'Comments retrieved successfully',
       error: null,
       meta: {
@@ -261,6 +316,471 @@ exports.getComments = async (req, res) => {
   }
 };
 
+/**
+ * Get a nested comment tree for a post
+ * Pass parentId and a branch's replyCursor to load more replies in that branch.
+ * @route GET /api/posts/:postId/comments/tree
+ */
+exports.getCommentTree = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { parentId, cursor, sort = 'newest' } = req.query;
+    const user = req.user;
+    const { treeDefaultDepth, treeMaxDepth, treeDefaultLimit, treeMaxLimit } = config.comments;
+    
+    const depth = Math.min(Math.max(parseInt(req.query.depth) || treeDefaultDepth, 1), treeMaxDepth);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || treeDefaultLimit, 1), treeMaxLimit);
+    
+    // Validate sort mode
+    if (!commentService.TREE_SORT_MODES.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid sort mode',
+        error: {
+          code: 'COMMENT_009',
+          details: `Sort must be one of: ${commentService.TREE_SORT_MODES.join(', ')}`
+        },
+        meta: {}
+      });
+    }
+    
+    // Validate cursor
+    const decodedCursor = cursor ? commentService.decodeCursor(cursor, sort) : null;
+    
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid comment cursor',
+        error: {
+          code: 'COMMENT_010',
+          details: 'The cursor was not issued for this sort mode'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if post exists
+    const post = mongoose.isValidObjectId(postId) ? await Post.findById(postId) : null;
+    
+    // Moderated, deleted and expired posts hide their comments like getPost hides them
+    if (!post || post.visibility !== 'public' || isPostExpired(post) || !canViewPost(post, user)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check that the branch being expanded belongs to the post
+    if (parentId) {
+      const parentComment = mongoose.isValidObjectId(parentId)
+        ? await Comment.findOne({ _id: parentId, postId: post._id, visibility: 'public' })
+        : null;
+      
+      if (!parentComment) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          message: 'Parent comment not found',
+          error: {
+            code: 'COMMENT_002',
+            details: 'The requested comment does not exist'
+          },
+          meta: {}
+        });
+      }
+    }
+    
+    const tree = await commentService.getCommentTree(post._id, {
+      parentId,
+      sort,
+      depth,
+      limit,
+      cursor: decodedCursor
+    }, user);
+    
+    const comments = await commentService.prepareCommentsForViewer(tree.comments, user);
+    
+    res.status(200).json({
+      success: true,
+      data: { comments },
+      message: 'Comment tree retrieved successfully',
+      error: null,
+      meta: {
+        pagination: {
+          nextCursor: tree.nextCursor,
+          hasMore: tree.hasMore
+        },
+        sort,
+        depth,
+        limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve comment tree',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Edit a comment
+ * @route PATCH /api/comments/:id
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    const user = req.user;
+    
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Comment content is required',
+        error: {
+          code: 'COMMENT_001',
+          details: 'Content must be provided to edit a comment'
+        },
+        meta: {}
+      });
+    }
+    
+    // Find the comment
+    const comment = await Comment.findById(id).select('+revisions');
+    
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Comment not found',
+        error: {
+          code: 'COMMENT_002',
+          details: 'The requested comment does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Only the author can edit a comment
+    if (comment.userId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'You do not have permission to edit this comment',
+        error: {
+          code: 'AUTH_003',
+          details: 'Not authorized to edit this comment'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if comment is public
+    if (comment.visibility !== 'public') {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Cannot edit a non-public comment',
+        error: {
+          code: 'COMMENT_003',
+          details: 'Comment is not public'
+        },
+        meta: {}
+      });
+    }
+    
+    // A comment without a GIF still needs text
+    if (content.trim() === '' && !comment.gifUrl) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Comment requires either text content or a GIF',
+        error: {
+          code: 'COMMENT_001',
+          details: 'Content cannot be emptied on a comment without a GIF'
+        },
+        meta: {}
+      });
+    }
+    
+    // Reject edits that don't change anything
+    if (content === comment.content) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'No changes to save',
+        error: {
+          code: 'COMMENT_008',
+          details: 'The edit does not change the comment content'
+        },
+        meta: {}
+      });
+    }
+    
+    const previousContent = comment.content;
+    
+    // Store the prior version as a revision
+    comment.revisions.push({
+      content: comment.content,
+      revisedAt: comment.updatedAt || comment.createdAt
+    });
+    
+    // Apply the edit
+    comment.content = content;
+    comment.language = detectLanguage(content);
+    comment.editedAt = new Date();
+    
+    // Re-run auto-moderation on the new text
+    if (user.contentSettings.autoModeration && content) {
+      const moderationResult = moderationService.autoModerateContent(content, user);
+      
+      if (moderationResult.shouldModerate) {
+        comment.visibility = 'moderated';
+        comment.isModerated = true;
+        comment.moderationReason = moderationResult.moderationReason;
+      }
+    }
+    
+    await comment.save();
+    
+    // Get Socket.io instance
+    const io = req.app.get('io');
+    
+    // Notify only users newly mentioned by the edit
+    if (content) {
+      const post = await Post.findById(comment.postId).select('userId audience mentions').lean();
+      
+      await notificationService.processMentions(content, {
+        type: 'comment',
+        id: comment._id,
+        post,
+        pseudonym: comment.isAnonymous ? comment.username : undefined
+      }, user, io, previousContent);
+    }
+    
+    // Don't send revision history with the comment
+    const commentResponse = comment.toObject();
+    delete commentResponse.revisions;
+    
+    // Push the change to post subscribers; moderated edits disappear for them
+    if (comment.visibility === 'public') {
+      emitCommentUpdate(io, comment.postId, anonymityService.maskAuthor(commentResponse));
+    } else {
+      emitCommentDeletion(io, comment.postId, comment._id);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: { comment: anonymityService.maskAuthor(commentResponse, user) },
+      message: 'Comment updated successfully',
+      error: null,
+      meta: {
+        revisionCount: comment.revisions.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to update comment',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Pin a comment to the top of its post's comments
+ * Only the post author can pin, and only top-level comments can be pinned.
+ * @route POST /api/comments/:id/pin
+ */
+exports.pinComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    
+    // Find the comment
+    const comment = await Comment.findById(id);
+    
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Comment not found',
+        error: {
+          code: 'COMMENT_002',
+          details: 'The requested comment does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if comment is public
+    if (comment.visibility !== 'public') {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Cannot pin a non-public comment',
+        error: {
+          code: 'COMMENT_003',
+          details: 'Comment is not public'
+        },
+        meta: {}
+      });
+    }
+    
+    if (comment.parentId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Only top-level comments can be pinned',
+        error: {
+          code: 'COMMENT_015',
+          details: 'Replies cannot be pinned'
+        },
+        meta: {}
+      });
+    }
+    
+    // Only the post author can pin comments
+    const post = await Post.findById(comment.postId);
+    
+    if (!post || post.userId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'You do not have permission to pin this comment',
+        error: {
+          code: 'AUTH_003',
+          details: 'Only the post author can pin comments'
+        },
+        meta: {}
+      });
+    }
+    
+    // Pinning replaces any previously pinned comment
+    post.commentSettings.pinnedCommentId = comment._id;
+    await post.save();
+    
+    res.status(200).json({
+      success: true,
+      data: { commentSettings: post.commentSettings },
+      message: 'Comment pinned successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to pin comment',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Unpin a comment
+ * @route DELETE /api/comments/:id/pin
+ */
+exports.unpinComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    
+    // Find the comment
+    const comment = await Comment.findById(id);
+    
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Comment not found',
+        error: {
+          code: 'COMMENT_002',
+          details: 'The requested comment does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Only the post author can unpin comments
+    const post = await Post.findById(comment.postId);
+    
+    if (!post || post.userId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'You do not have permission to unpin this comment',
+        error: {
+          code: 'AUTH_003',
+          details: 'Only the post author can unpin comments'
+        },
+        meta: {}
+      });
+    }
+    
+    const pinnedCommentId = post.commentSettings.pinnedCommentId;
+    
+    if (!pinnedCommentId || pinnedCommentId.toString() !== comment._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Comment is not pinned',
+        error: {
+          code: 'COMMENT_016',
+          details: 'This comment is not pinned to the post'
+        },
+        meta: {}
+      });
+    }
+    
+    post.commentSettings.pinnedCommentId = undefined;
+    await post.save();
+    
+    res.status(200).json({
+      success: true,
+      data: { commentSettings: post.commentSettings },
+      message: 'Comment unpinned successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to unpin comment',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
 /**
  * Delete a comment
  * @route DELETE /api/comments/:id
@@ -316,7 +836,14 @@ exports.deleteComment = async (req, res) => {
     
     // Update post engagement score
     const post = await Post.findById(comment.postId);
-    post.updateEngagementScore();
+    post.updateEngagementScore(await reactionService.getReactionWeights());
+    
+    // Unpin the comment if it was pinned
+    if (post.commentSettings.pinnedCommentId &&
+        post.commentSettings.pinnedCommentId.toString() === comment._id.toString()) {
+      post.commentSettings.pinnedCommentId = undefined;
+    }
+    
     await post.save();
     
     // Emit comment deletion event through WebSocket
@@ -400,7 +927,7 @@ exports.addReply = async (req, res) => {
       
       // Check if post is public
       const post = await Post.findById(parentComment.postId);
-      if (!post || post.visibility !== 'public') {
+      if (!post || post.visibility !== 'public' || !canViewPost(post, user)) {
         return res.status(403).json({
           success: false,
           data: null,
@@ -413,6 +940,22 @@ exports.addReply = async (req, res) => {
         });
       }
       
+      // Check the author's comment settings
+      const permissionError = commentService.checkCommentPermission(post, user);
+      
+      if (permissionError) {
+        return res.status(403).json({
+          success: false,
+          data: null,
+          message: permissionError.message,
+          error: {
+            code: permissionError.code,
+            details: permissionError.details
+          },
+          meta: {}
+        });
+      }
+      
       // Check for auto-moderation if enabled in user settings
       let visibility = 'public';
       let isModerated = false;
@@ -454,8 +997,10 @@ exports.addReply = async (req, res) => {
       const reply = await Comment.create({
         postId: parentComment.postId,
         userId: user._id,
-        username: user.username,
+        username: post.isAnonymous ? anonymityService.getPseudonym(post._id, user._id) : user.username,
+        isAnonymous: post.isAnonymous,
         content: content || '',
+        language: detectLanguage(content),
         gifUrl: finalGifUrl,
         gifId: gifId,
         parentId: parentComment._id,
@@ -476,7 +1021,7 @@ exports.addReply = async (req, res) => {
       
       // Update post engagement score
       const updatedPost = await Post.findById(parentComment.postId);
-      updatedPost.updateEngagementScore();
+      updatedPost.updateEngagementScore(await reactionService.getReactionWeights());
       await updatedPost.save();
       
       // Get Socket.io instance
@@ -493,16 +1038,19 @@ exports.addReply = async (req, res) => {
       if (content) {
         await notificationService.processMentions(content, {
           type: 'comment',
-          id: reply._id
+          id: reply._id,
+          post,
+          pseudonym: reply.isAnonymous ? reply.username : undefined
         }, user, io);
       }
       
       // Emit new comment (reply) event through WebSocket
-      emitNewComment(io, parentComment.postId, reply);
+      const replyObject = reply.toObject();
+      emitNewComment(io, parentComment.postId, anonymityService.maskAuthor(replyObject));
       
       res.status(201).json({
         success: true,
-        data: { comment: reply },
+        data: { comment: anonymityService.maskAuthor(replyObject, user) },
         message: 'Reply added successfully',
         error: null,
         meta: {}
@@ -535,7 +1083,7 @@ exports.getReplies = async (req, res) => {
     // Check if parent comment exists
     const parentComment = await Comment.findById(commentId);
     
-    if (!parentComment) {
+    if (!parentComment || !(await commentService.canViewCommentPost(parentComment, user))) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -586,9 +1134,11 @@ exports.getReplies = async (req, res) => {
       ? filteredReplies[filteredReplies.length - 1]._id 
       : null;
     
+    const preparedReplies = await commentService.prepareCommentsForViewer(filteredReplies, user);
+    
     res.status(200).json({
       success: true,
-      data: { comments: filteredReplies },
+      data: { comments: preparedReplies },
       message: 'Replies retrieved successfully',
       error: null,
       meta: {
@@ -612,6 +1162,84 @@ exports.getReplies = async (req, res) => {
   }
 };
 
+/**
+ * List users who reacted to a comment
+ * Pass type to list a single reaction type.
+ * @route GET /api/comments/:id/reactions
+ */
+exports.getCommentReactions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, cursor, limit = 20 } = req.query;
+    const parsedLimit = Math.min(parseInt(limit) || 20, 50);
+    const user = req.user;
+    
+    const comment = await Comment.findById(id).select('postId visibility reactions').lean();
+    
+    if (!comment || comment.visibility !== 'public' || !(await commentService.canViewCommentPost(comment, user))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Comment not found',
+        error: {
+          code: 'COMMENT_002',
+          details: 'The requested comment does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    if (type && !(await reactionService.isKnownReactionType(type))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid reaction type',
+        error: {
+          code: 'COMMENT_004',
+          details: 'Reaction type is not in the reaction catalogue'
+        },
+        meta: {}
+      });
+    }
+    
+    const result = await reactionService.getReactors('comment', comment._id, {
+      type,
+      cursor,
+      limit: parsedLimit
+    }, user);
+    
+    const summary = await reactionService.summarizeReactions(comment.reactions);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        reactions: result.reactions,
+        summary
+      },
+      message: 'Reactions retrieved successfully',
+      error: null,
+      meta: {
+        pagination: {
+          nextCursor: result.nextCursor,
+          hasMore: result.hasMore
+        },
+        type: type || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve reactions',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
 /**
  * Add reaction to a comment
  * @route POST /api/comments/:id/reactions
@@ -622,16 +1250,16 @@ exports.addCommentReaction = async (req, res) => {
     const { type } = req.body;
     const user = req.user;
     
-    // Validate reaction type
-    const validReactions = ['❤️', '👍', '😂', '😮', '🙌'];
-    if (!validReactions.includes(type)) {
+    // Validate reaction type against the enabled catalogue entries
+    const enabledTypes = await reactionService.getEnabledReactionTypes();
+    if (!enabledTypes.includes(type)) {
       return res.status(400).json({
         success: false,
         data: null,
         message: 'Invalid reaction type',
         error: {
           code: 'COMMENT_004',
-          details: 'Reaction type must be one of: ❤️, 👍, 😂, 😮, 🙌'
+          details: `Reaction type must be one of: ${enabledTypes.join(', ')}`
         },
         meta: {}
       });
@@ -640,7 +1268,7 @@ exports.addCommentReaction = async (req, res) => {
     // Find the comment
     const comment = await Comment.findById(id);
     
-    if (!comment) {
+    if (!comment || !(await commentService.canViewCommentPost(comment, user))) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -667,12 +1295,15 @@ exports.addCommentReaction = async (req, res) => {
       });
     }
     
-    // Check if user already reacted with this type
-    const hasReacted = comment.reactionUsers[type].some(
-      userId => userId.toString() === user._id.toString()
-    );
+    // Record the reaction; the unique index rejects duplicates
+    const reaction = await reactionService.addReaction({
+      userId: user._id,
+      targetType: 'comment',
+      targetId: comment._id,
+      type
+    });
     
-    if (hasReacted) {
+    if (!reaction) {
       return res.status(400).json({
         success: false,
         data: null,
@@ -685,10 +1316,9 @@ exports.addCommentReaction = async (req, res) => {
       });
     }
     
-    // Update comment with new reaction
+    // Update comment reaction counter
     await Comment.findByIdAndUpdate(id, {
-      $inc: { [`reactions.${type}`]: 1 },
-      $push: { [`reactionUsers.${type}`]: user._id }
+      $inc: { [`reactions.${type}`]: 1 }
     });
     
     // Update user's reaction count
@@ -750,16 +1380,15 @@ exports.removeCommentReaction = async (req, res) => {
     const { id, type } = req.params;
     const user = req.user;
     
-    // Validate reaction type
-    const validReactions = ['❤️', '👍', '😂', '😮', '🙌'];
-    if (!validReactions.includes(type)) {
+    // Reactions of disabled types can still be removed
+    if (!(await reactionService.isKnownReactionType(type))) {
       return res.status(400).json({
         success: false,
         data: null,
         message: 'Invalid reaction type',
         error: {
           code: 'COMMENT_004',
-          details: 'Reaction type must be one of: ❤️, 👍, 😂, 😮, 🙌'
+          details: 'Reaction type is not in the reaction catalogue'
         },
         meta: {}
       });
@@ -781,12 +1410,15 @@ exports.removeCommentReaction = async (req, res) => {
       });
     }
     
-    // Check if user has reacted with this type
-    const hasReacted = comment.reactionUsers[type].some(
-      userId => userId.toString() === user._id.toString()
-    );
+    // Remove the reaction
+    const reaction = await reactionService.removeReaction({
+      userId: user._id,
+      targetType: 'comment',
+      targetId: comment._id,
+      type
+    });
     
-    if (!hasReacted) {
+    if (!reaction) {
       return res.status(400).json({
         success: false,
         data: null,
@@ -799,10 +1431,9 @@ exports.removeCommentReaction = async (req, res) => {
       });
     }
     
-    // Update comment to remove reaction
+    // Update comment reaction counter
     await Comment.findByIdAndUpdate(id, {
-      $inc: { [`reactions.${type}`]: -1 },
-      $pull: { [`reactionUsers.${type}`]: user._id }
+      $inc: { [`reactions.${type}`]: -1 }
     });
     
     // Update user's reaction count
@@ -0,0 +1,503 @@
+// src/controllers/draftController.js
+const Draft = require('../models/draftModel');
+const draftService = require('../services/draftService');
+const postService = require('../services/postService');
+const config = require('../config/config');
+
+// Drafts in these states can still be edited, deleted or published
+const EDITABLE_STATUSES = ['draft', 'scheduled', 'failed'];
+
+/**
+ * Validate draft fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Result with either the validated update or an error response
+ */
+const validateDraftInput = (body) => {
+  const { content, contentWarning, poll, expiresIn, audience, isAnonymous, publishAt } = body;
+  const update = {};
+
+  if (content !== undefined) {
+    if (typeof content !== 'string' || content.length > 1000) {
+      return {
+        error: {
+          message: 'Invalid draft content',
+          code: 'DRAFT_002',
+          details: 'Draft content must be text of at most 1000 characters'
+        }
+      };
+    }
+    update.content = content;
+  }
+
+  if (contentWarning !== undefined) {
+    update.contentWarning = contentWarning;
+  }
+
+  if (poll !== undefined) {
+    if (poll === null) {
+      update.poll = undefined;
+    } else {
+      const pollResult = draftService.buildDraftPoll(poll);
+
+      if (!pollResult.valid) {
+        return {
+          error: {
+            message: 'Invalid poll',
+            code: 'DRAFT_003',
+            details: pollResult.details
+          }
+        };
+      }
+      update.poll = pollResult.poll;
+    }
+  }
+
+  if (expiresIn !== undefined) {
+    if (expiresIn !== null && !postService.isValidExpiryOption(expiresIn)) {
+      return {
+        error: {
+          message: 'Invalid expiry option',
+          code: 'DRAFT_006',
+          details: `expiresIn must be one of: ${Object.keys(config.posts.expiryOptions).join(', ')}`
+        }
+      };
+    }
+    update.expiresIn = expiresIn === null ? undefined : expiresIn;
+  }
+
+  if (audience !== undefined) {
+    if (audience !== null && !postService.AUDIENCES.includes(audience)) {
+      return {
+        error: {
+          message: 'Invalid audience',
+          code: 'DRAFT_007',
+          details: `audience must be one of: ${postService.AUDIENCES.join(', ')}`
+        }
+      };
+    }
+    update.audience = audience === null ? undefined : audience;
+  }
+
+  if (isAnonymous !== undefined) {
+    if (typeof isAnonymous !== 'boolean') {
+      return {
+        error: {
+          message: 'Invalid anonymous flag',
+          code: 'DRAFT_008',
+          details: 'isAnonymous must be a boolean'
+        }
+      };
+    }
+    update.isAnonymous = isAnonymous;
+  }
+
+  if (publishAt) {
+    const publishAtResult = draftService.validatePublishAt(publishAt);
+
+    if (!publishAtResult.valid) {
+      return {
+        error: {
+          message: 'Invalid publish time',
+          code: 'DRAFT_004',
+          details: publishAtResult.details
+        }
+      };
+    }
+    update.publishAt = publishAtResult.date;
+  }
+
+  return { update };
+};
+
+/**
+ * Send a validation error response
+ * @param {Object} res - Express response
+ * @param {Object} error - Validation error
+ */
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    data: null,
+    message: error.message,
+    error: {
+      code: error.code,
+      details: error.details
+    },
+    meta: {}
+  });
+};
+
+/**
+ * Create a draft
+ * @route POST /api/posts/drafts
+ */
+exports.createDraft = async (req, res) => {
+  try {
+    const user = req.user;
+    const { publishAt } = req.body;
+
+    const { update, error } = validateDraftInput(req.body);
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    // Scheduled drafts need something to publish
+    if (publishAt && (!update.content || update.content.trim() === '')) {
+      return sendValidationError(res, {
+        message: 'Scheduled posts cannot be empty',
+        code: 'DRAFT_002',
+        details: 'Content is required for scheduling a post'
+      });
+    }
+
+    const draft = await Draft.create({
+      userId: user._id,
+      ...update,
+      status: publishAt ? 'scheduled' : 'draft'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { draft },
+      message: publishAt ? 'Post scheduled successfully' : 'Draft saved successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to save draft',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Get the current user's drafts and scheduled posts
+ * @route GET /api/posts/drafts
+ */
+exports.getDrafts = async (req, res) => {
+  try {
+    const { cursor, limit = 20, status } = req.query;
+    const user = req.user;
+
+    let query = { userId: user._id };
+
+    // Filter by status, hiding already published drafts by default
+    if (status) {
+      query.status = status;
+    } else {
+      query.status = { $ne: 'published' };
+    }
+
+    // Apply cursor-based pagination if cursor is provided
+    if (cursor) {
+      query._id = { $lt: cursor };
+    }
+
+    const drafts = await Draft.find(query)
+      .sort({ _id: -1 })
+      .limit(parseInt(limit) + 1) // Get one extra to determine if there are more
+      .lean();
+
+    // Determine if there are more drafts
+    const hasMore = drafts.length > parseInt(limit);
+
+    // Remove the extra draft if there are more
+    if (hasMore) {
+      drafts.pop();
+    }
+
+    // Get the next cursor
+    const nextCursor = drafts.length > 0
+      ? drafts[drafts.length - 1]._id
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: { drafts },
+      message: 'Drafts retrieved successfully',
+      error: null,
+      meta: {
+        pagination: {
+          nextCursor: nextCursor,
+          hasMore: hasMore
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve drafts',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Get a draft
+ * @route GET /api/posts/drafts/:draftId
+ */
+exports.getDraft = async (req, res) => {
+  try {
+    const { draftId } = req.params;
+    const user = req.user;
+
+    const draft = await Draft.findOne({ _id: draftId, userId: user._id }).lean();
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Draft not found',
+        error: {
+          code: 'DRAFT_001',
+          details: 'The requested draft does not exist'
+        },
+        meta: {}
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { draft },
+      message: 'Draft retrieved successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve draft',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Update a draft
+ * Setting publishAt schedules the draft; setting it to null unschedules it.
+ * @route PATCH /api/posts/drafts/:draftId
+ */
+exports.updateDraft = async (req, res) => {
+  try {
+    const { draftId } = req.params;
+    const { publishAt } = req.body;
+    const user = req.user;
+
+    const draft = await Draft.findOne({ _id: draftId, userId: user._id });
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Draft not found',
+        error: {
+          code: 'DRAFT_001',
+          details: 'The requested draft does not exist'
+        },
+        meta: {}
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(draft.status)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Draft can no longer be edited',
+        error: {
+          code: 'DRAFT_005',
+          details: `Draft is ${draft.status}`
+        },
+        meta: {}
+      });
+    }
+
+    const { update, error } = validateDraftInput(req.body);
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    Object.assign(draft, update);
+
+    // Update schedule
+    if (publishAt) {
+      draft.status = 'scheduled';
+    } else if (publishAt === null) {
+      draft.publishAt = undefined;
+      draft.status = 'draft';
+    }
+
+    if (draft.status === 'scheduled' && (!draft.content || draft.content.trim() === '')) {
+      return sendValidationError(res, {
+        message: 'Scheduled posts cannot be empty',
+        code: 'DRAFT_002',
+        details: 'Content is required for scheduling a post'
+      });
+    }
+
+    // A failed draft that is edited goes back to being a plain draft
+    if (draft.status === 'failed') {
+      draft.status = 'draft';
+    }
+    draft.failureReason = undefined;
+
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      data: { draft },
+      message: 'Draft updated successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to update draft',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Delete a draft
+ * @route DELETE /api/posts/drafts/:draftId
+ */
+exports.deleteDraft = async (req, res) => {
+  try {
+    const { draftId } = req.params;
+    const user = req.user;
+
+    const draft = await Draft.findOneAndDelete({
+      _id: draftId,
+      userId: user._id,
+      status: { $in: [...EDITABLE_STATUSES, 'published'] }
+    });
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Draft not found',
+        error: {
+          code: 'DRAFT_001',
+          details: 'The requested draft does not exist or is being published'
+        },
+        meta: {}
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Draft deleted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to delete draft',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Publish a draft immediately
+ * @route POST /api/posts/drafts/:draftId/publish
+ */
+exports.publishDraft = async (req, res) => {
+  try {
+    const { draftId } = req.params;
+    const user = req.user;
+
+    const draft = await Draft.findOne({ _id: draftId, userId: user._id }).lean();
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Draft not found',
+        error: {
+          code: 'DRAFT_001',
+          details: 'The requested draft does not exist'
+        },
+        meta: {}
+      });
+    }
+
+    if (!draft.content || draft.content.trim() === '') {
+      return sendValidationError(res, {
+        message: 'Post content cannot be empty',
+        code: 'DRAFT_002',
+        details: 'Content is required for publishing a draft'
+      });
+    }
+
+    const io = req.app.get('io');
+    const result = await draftService.publishDraft(draft._id, EDITABLE_STATUSES, io);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Draft can no longer be published',
+        error: {
+          code: 'DRAFT_005',
+          details: 'Draft has already been published or is being published'
+        },
+        meta: {}
+      });
+    }
+
+    const [post] = await postService.preparePostsForViewer([result.post.toObject()], user);
+
+    res.status(201).json({
+      success: true,
+      data: { post, draft: result.draft },
+      message: 'Draft published successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to publish draft',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
@@ -204,7 +204,7 @@ exports.updatePreferences = async (req, res) => {
     
     // Validate preferences
     const validPreferences = [
-      'reactions', 'comments', 'mentions', 'system'
+      'reactions', 'comments', 'mentions', 'reposts', 'hashtags', 'system'
     ];
     
     const updatedPreferences = {};
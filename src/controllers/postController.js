@@ -3,14 +3,36 @@ const Post = require('../models/postModel');
 const Comment = require('../models/commentModel');
 const User = require('../models/userModel');
 const SavedPost = require('../models/savedPostModel');
+const PollVote = require('../models/pollVoteModel');
+const Draft = require('../models/draftModel');
+const HashtagFollow = require('../models/hashtagFollowModel');
 const notificationService = require('../services/notificationService');
 const moderationService = require('../services/moderationService');
 const searchService = require('../services/searchService');
+const followService = require('../services/followService');
+const feedService = require('../services/feedService');
+const pollService = require('../services/pollService');
+const postService = require('../services/postService');
+const draftService = require('../services/draftService');
+const commentService = require('../services/commentService');
+const reactionService = require('../services/reactionService');
+const hashtagService = require('../services/hashtagService');
+const bookmarkService = require('../services/bookmarkService');
+const anonymityService = require('../services/anonymityService');
+const { emitPollUpdate } = require('../websocket');
+const config = require('../config/config');
 const { 
   extractHashtags, 
   containsSensitiveContent, 
   detectLanguage,
-  filterPostsForUser 
+  normalizeHashtag,
+  filterPostsForUser,
+  applyMutedConditions,
+  isPostExpired,
+  canViewPost,
+  notExpiredCondition,
+  audienceCondition,
+  languageCondition
 } = require('../utils/postUtils');
 
 /**
@@ -19,7 +41,7 @@ const {
  */
 exports.createPost = async (req, res) => {
   try {
-    const { content, contentWarning } = req.body;
+    const { content, contentWarning, poll, publishAt, expiresIn, audience, isAnonymous } = req.body;
     const user = req.user;
 
     // Basic validation
@@ -36,55 +58,125 @@ exports.createPost = async (req, res) => {
       });
     }
 
-    // Extract hashtags
-    const hashtags = extractHashtags(content);
+    // Validate poll if provided
+    let pollData;
+    if (poll) {
+      const pollResult = pollService.buildPoll(poll);
+      
+      if (!pollResult.valid) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'Invalid poll',
+          error: {
+            code: 'POST_014',
+            details: pollResult.details
+          },
+          meta: {}
+        });
+      }
+      
+      pollData = pollResult.poll;
+    }
 
-    // Detect language
-    const language = detectLanguage(content);
+    // Validate expiry option if provided
+    if (expiresIn && !postService.isValidExpiryOption(expiresIn)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid expiry option',
+        error: {
+          code: 'POST_021',
+          details: `expiresIn must be one of: ${Object.keys(config.posts.expiryOptions).join(', ')}`
+        },
+        meta: {}
+      });
+    }
 
-    // Check for auto-moderation if enabled in user settings
-    let visibility = 'public';
-    let isModerated = false;
-    let moderationReason = null;
+    // Validate audience if provided; otherwise the user's default applies
+    if (audience !== undefined && !postService.AUDIENCES.includes(audience)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid audience',
+        error: {
+          code: 'POST_034',
+          details: `audience must be one of: ${postService.AUDIENCES.join(', ')}`
+        },
+        meta: {}
+      });
+    }
 
-    if (user.contentSettings.autoModeration) {
-      const moderationResult = moderationService.autoModerateContent(content, user);
+    // Validate anonymous mode if provided
+    if (isAnonymous !== undefined && typeof isAnonymous !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid anonymous flag',
+        error: {
+          code: 'POST_035',
+          details: 'isAnonymous must be a boolean'
+        },
+        meta: {}
+      });
+    }
+
+    // Schedule the post for later if a publish time is given
+    if (publishAt) {
+      const publishAtResult = draftService.validatePublishAt(publishAt);
       
-      if (moderationResult.shouldModerate) {
-        visibility = 'moderated';
-        isModerated = true;
-        moderationReason = moderationResult.moderationReason;
+      if (!publishAtResult.valid) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'Invalid publish time',
+          error: {
+            code: 'POST_020',
+            details: publishAtResult.details
+          },
+          meta: {}
+        });
       }
+      
+      const draftPoll = poll ? draftService.buildDraftPoll(poll).poll : undefined;
+      
+      const draft = await Draft.create({
+        userId: user._id,
+        content,
+        contentWarning,
+        poll: draftPoll,
+        expiresIn,
+        audience,
+        isAnonymous,
+        status: 'scheduled',
+        publishAt: publishAtResult.date
+      });
+      
+      return res.status(202).json({
+        success: true,
+        data: { draft },
+        message: 'Post scheduled successfully',
+        error: null,
+        meta: {}
+      });
     }
 
-    // Create the post
-    const post = await Post.create({
-      userId: user._id,
-      username: user.username,
+    // Publish the post
+    const io = req.app.get('io');
+    const post = await postService.publishPost(user, {
       content,
       contentWarning,
-      hashtags,
-      language,
-      visibility,
-      isModerated,
-      moderationReason
-    });
+      poll: pollData,
+      expiresIn,
+      audience,
+      isAnonymous
+    }, io);
 
-    // Update user's post count
-    await User.findByIdAndUpdate(user._id, {
-      $inc: { 'activityMetrics.totalPosts': 1 }
-    });
-    
-    // Process mentions in content
-    const io = req.app.get('io');
-    await notificationService.processMentions(content, {
-      type: 'post',
-      id: post._id
-    }, user, io);
+    const [postResponse] = await postService.preparePostsForViewer([post.toObject()], user);
 
     res.status(201).json({
       success: true,
-      data: { post },
+      data: { post: postResponse },
       message: 'Post created successfully',
       error: null,
       meta: {}
@@ -110,22 +202,121 @@ exports.createPost = async (req, res) => {
 exports.getPersonalizedFeed = async (req, res) => {
   try {
     const user = req.user;
-    const { cursor, limit = 15 } = req.query;
+    const { cursor, limit = 15, mode = 'chronological' } = req.query;
     const parsedLimit = Math.min(parseInt(limit), 50);
     
+    // Validate feed mode; 'all' is the chronological feed's original name
+    // and the ranked feed is opt-in so existing clients keep their feed
+    const validModes = ['chronological', 'all', 'ranked', 'following', 'hashtags'];
+    if (!validModes.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid feed mode',
+        error: {
+          code: 'POST_010',
+          details: `Mode must be one of: ${validModes.join(', ')}`
+        },
+        meta: {}
+      });
+    }
+    
+    // Following and hashtag feeds need to know what the viewer follows
+    if ((mode === 'following' || mode === 'hashtags') && !user) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Not authenticated. Please log in',
+        error: {
+          code: 'AUTH_003',
+          details: `Authentication is required for the ${mode} feed`
+        },
+        meta: {}
+      });
+    }
+    
+    // Ranked mode scores candidates instead of paging by ID
+    if (mode === 'ranked') {
+      if (cursor && !feedService.decodeCursor(cursor)) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'Invalid feed cursor',
+          error: {
+            code: 'POST_011',
+            details: 'The cursor was not issued by the ranked feed'
+          },
+          meta: {}
+        });
+      }
+      
+      const rankedFeed = await feedService.getRankedFeed(user, {
+        cursor,
+        limit: parsedLimit
+      });
+      
+      if (!rankedFeed) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'Feed session expired',
+          error: {
+            code: 'POST_037',
+            details: 'Reload the ranked feed without a cursor'
+          },
+          meta: {}
+        });
+      }
+      
+      const rankedPosts = await postService.preparePostsForViewer(rankedFeed.posts, user);
+      
+      return res.status(200).json({
+        success: true,
+        data: { posts: rankedPosts },
+        message: 'Feed retrieved successfully',
+        error: null,
+        meta: {
+          pagination: {
+            nextCursor: rankedFeed.nextCursor,
+            hasMore: rankedFeed.hasMore,
+            // Set once the ranked posts run out; pass it as the cursor of the chronological feed
+            chronologicalCursor: rankedFeed.chronologicalCursor
+          },
+          mode
+        }
+      });
+    }
+    
     // Base query
-    let query = { visibility: 'public' };
+    let query = { visibility: 'public', ...notExpiredCondition(), ...audienceCondition(user), ...languageCondition(user) };
     
     // Apply cursor-based pagination if cursor is provided
     if (cursor) {
       query._id = { $lt: cursor };
     }
     
+    // Restrict to followed users in following mode; anonymous posts would
+    // give away that their author is someone the viewer follows
+    if (mode === 'following') {
+      const followingIds = await followService.getFollowingIds(user._id);
+      query.userId = { $in: followingIds };
+      query.isAnonymous = { $ne: true };
+    }
+    
+    // Restrict to followed hashtags in hashtags mode
+    if (mode === 'hashtags') {
+      const followedHashtags = await hashtagService.getFollowedHashtags(user._id);
+      query.hashtags = { $in: followedHashtags };
+    }
+    
     // Filter out posts from blocked users if user is authenticated
     if (user && user.blockedUsers && user.blockedUsers.length > 0) {
-      query.userId = { $nin: user.blockedUsers };
+      query.userId = { ...query.userId, $nin: user.blockedUsers };
     }
     
+    // Leave out muted authors and hashtags in the query so pages stay full
+    applyMutedConditions(query, user);
+    
     // Get posts
     const posts = await Post.find(query)
       .sort({ createdAt: -1 })
@@ -143,21 +334,25 @@ exports.getPersonalizedFeed = async (req, res) => {
     // Apply user-specific filtering
     const filteredPosts = user ? filterPostsForUser(posts, user) : posts;
     
-    // Get the next cursor
-    const nextCursor = filteredPosts.length > 0 
-      ? filteredPosts[filteredPosts.length - 1]._id 
+    // Get the next cursor from the last fetched post so filtered posts can't end the feed
+    const nextCursor = posts.length > 0 
+      ? posts[posts.length - 1]._id 
       : null;
     
+    // Embed repost originals and viewer-specific poll state
+    const preparedPosts = await postService.preparePostsForViewer(filteredPosts, user);
+    
     res.status(200).json({
       success: true,
-      data: { posts: filteredPosts },
+      data: { posts: preparedPosts },
       message: 'Feed retrieved successfully',
       error: null,
       meta: {
         pagination: {
           nextCursor: nextCursor,
           hasMore: hasMore
-        }
+        },
+        mode
       }
     });
   } catch (error) {
@@ -186,7 +381,8 @@ exports.getPost = async (req, res) => {
     // Find the post
     const post = await Post.findById(id);
     
-    if (!post) {
+    // Posts outside the viewer's audience look missing; admins can still see them
+    if (!post || isPostExpired(post) || (!canViewPost(post, user) && !(user && user.isAdmin))) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -229,16 +425,32 @@ exports.getPost = async (req, res) => {
     .lean();
     
     // Filter comments if user is authenticated
-    const filteredComments = user ? 
+    const filteredComments = (user ? 
       comments.filter(comment => 
         !user.blockedUsers.some(id => id.toString() === comment.userId.toString())
       ) : 
-      comments;
+      comments).map(comment => anonymityService.maskAuthor(comment, user));
+    
+    const [postResponse] = await postService.preparePostsForViewer([post.toObject()], user);
+    
+    // Plain reposts of an unavailable original have nothing to show
+    if (!postResponse) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The reposted post is no longer available'
+        },
+        meta: {}
+      });
+    }
     
     res.status(200).json({
       success: true,
       data: { 
-        post,
+        post: postResponse,
         comments: filteredComments 
       },
       message: 'Post retrieved successfully',
@@ -260,16 +472,31 @@ exports.getPost = async (req, res) => {
 };
 
 /**
- * Delete a post
- * @route DELETE /api/posts/:id
+ * Edit a post
+ * @route PATCH /api/posts/:id
  */
-exports.deletePost = async (req, res) => {
+exports.updatePost = async (req, res) => {
   try {
     const { id } = req.params;
+    const { content, contentWarning } = req.body;
     const user = req.user;
     
+    // Basic validation
+    if (content !== undefined && (typeof content !== 'string' || content.trim() === '')) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Post content cannot be empty',
+        error: {
+          code: 'POST_003',
+          details: 'Content is required for editing a post'
+        },
+        meta: {}
+      });
+    }
+    
     // Find the post
-    const post = await Post.findById(id);
+    const post = await Post.findById(id).select('+revisions');
     
     if (!post) {
       return res.status(404).json({
@@ -284,169 +511,153 @@ exports.deletePost = async (req, res) => {
       });
     }
     
-    // Check if user is the author or an admin
-    if (post.userId.toString() !== user._id.toString() && !user.isAdmin) {
+    // Only the author can edit a post
+    if (post.userId.toString() !== user._id.toString()) {
       return res.status(403).json({
         success: false,
         data: null,
-        message: 'You do not have permission to delete this post',
+        message: 'You do not have permission to edit this post',
         error: {
           code: 'AUTH_003',
-          details: 'Not authorized to delete this post'
+          details: 'Not authorized to edit this post'
         },
         meta: {}
       });
     }
     
-    // Soft delete the post
-    post.visibility = 'deleted';
-    await post.save();
-    
-    // Decrement user's post count
-    await User.findByIdAndUpdate(user._id, {
-      $inc: { 'activityMetrics.totalPosts': -1 }
-    });
-    
-    res.status(200).json({
-      success: true,
-      data: null,
-      message: 'Post deleted successfully',
-      error: null,
-      meta: {}
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      data: null,
-      message: 'Failed to delete post',
-      error: {
-        code: 'SERVER_001',
-        details: error.message
-      },
-      meta: {}
-    });
-  }
-};
-
-/**
- * Add reaction to a post
- * @route POST /api/posts/:id/reactions
- */
-exports.addReaction = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { type } = req.body;
-    const user = req.user;
-    
-    // Validate reaction type
-    const validReactions = ['❤️', '👍', '😂', '😮', '🙌'];
-    if (!validReactions.includes(type)) {
-      return res.status(400).json({
+    // Check if post is public
+    if (post.visibility !== 'public') {
+      return res.status(403).json({
         success: false,
         data: null,
-        message: 'Invalid reaction type',
+        message: 'Cannot edit a non-public post',
         error: {
-          code: 'POST_004',
-          details: 'Reaction type must be one of: ❤️, 👍, 😂, 😮, 🙌'
+          code: 'POST_005',
+          details: 'Post is not public'
         },
         meta: {}
       });
     }
     
-    // Find the post
-    const post = await Post.findById(id);
-    
-    if (!post) {
-      return res.status(404).json({
+    // Plain reposts have no content of their own to edit
+    if (post.repostType === 'repost') {
+      return res.status(400).json({
         success: false,
         data: null,
-        message: 'Post not found',
+        message: 'Reposts cannot be edited',
         error: {
-          code: 'POST_001',
-          details: 'The requested post does not exist'
+          code: 'POST_022',
+          details: 'Only posts and quote posts can be edited'
         },
         meta: {}
       });
     }
     
-    // Check if post is public
-    if (post.visibility !== 'public') {
+    // Check the edit window
+    const editDeadline = new Date(
+      post.createdAt.getTime() + config.posts.editWindowMinutes * 60 * 1000
+    );
+    
+    if (new Date() > editDeadline) {
       return res.status(403).json({
         success: false,
         data: null,
-        message: 'Cannot react to a non-public post',
+        message: 'The edit window for this post has expired',
         error: {
-          code: 'POST_005',
-          details: 'Post is not public'
+          code: 'POST_012',
+          details: `Posts can only be edited within ${config.posts.editWindowMinutes} minutes of creation`
         },
         meta: {}
       });
     }
     
-    // Check if user already reacted with this type
-    const reactionField = `reactionUsers.${type}`;
-    const hasReacted = post.reactionUsers[type].some(
-      userId => userId.toString() === user._id.toString()
-    );
+    const newContent = content !== undefined ? content : post.content;
+    const newContentWarning = contentWarning !== undefined 
+      ? (contentWarning || undefined) 
+      : post.contentWarning;
     
-    if (hasReacted) {
+    // Reject edits that don't change anything
+    if (newContent === post.content && newContentWarning === post.contentWarning) {
       return res.status(400).json({
         success: false,
         data: null,
-        message: 'You have already reacted with this type',
+        message: 'No changes to save',
         error: {
-          code: 'POST_006',
-          details: 'User has already added this reaction'
+          code: 'POST_013',
+          details: 'The edit does not change the post content or content warning'
         },
         meta: {}
       });
     }
     
-    // Update post with new reaction
-    await Post.findByIdAndUpdate(id, {
-      $inc: { [`reactions.${type}`]: 1 },
-      $push: { [`reactionUsers.${type}`]: user._id }
-    });
+    const previousContent = post.content;
     
-    // Update user's reaction count
-    await User.findByIdAndUpdate(user._id, {
-      $inc: { 'activityMetrics.totalReactionsGiven': 1 }
+    // Store the prior version as a revision
+    post.revisions.push({
+      content: post.content,
+      contentWarning: post.contentWarning,
+      hashtags: post.hashtags,
+      revisedAt: post.updatedAt || post.createdAt
     });
     
-    // Update post owner's received reactions count
-    await User.findByIdAndUpdate(post.userId, {
-      $inc: { 'activityMetrics.totalReactionsReceived': 1 }
+    // Apply the edit
+    post.content = newContent;
+    post.contentWarning = newContentWarning;
+    post.hashtags = extractHashtags(newContent);
+    post.mentions = notificationService.extractMentions(newContent);
+    post.language = detectLanguage(newContent);
+    post.edits.push({
+      timestamp: new Date(),
+      reason: 'user-initiated'
     });
     
-    // Get updated post reactions
-    const updatedPost = await Post.findById(id, 'reactions');
+    // Re-run auto-moderation on the new text
+    if (user.contentSettings.autoModeration) {
+      const moderationResult = moderationService.autoModerateContent(newContent, user);
+      
+      if (moderationResult.shouldModerate) {
+        post.visibility = 'moderated';
+        post.isModerated = true;
+        post.moderationReason = moderationResult.moderationReason;
+      }
+    }
     
-    // Update engagement score
-    updatedPost.updateEngagementScore();
-    await updatedPost.save();
+    await post.save();
     
-    // Create reaction notification
+    // Moderated posts can no longer be pinned
+    if (post.visibility !== 'public') {
+      await postService.unpinPosts([post._id]);
+    }
+    
+    // Notify only users newly mentioned by the edit
     const io = req.app.get('io');
-    await notificationService.createReactionNotification({
-      contentType: 'post',
-      contentId: post._id,
-      actor: user,
-      contentOwner: { _id: post.userId },
-      reactionType: type
-    }, io);
+    await notificationService.processMentions(newContent, {
+      type: 'post',
+      id: post._id,
+      post,
+      pseudonym: post.isAnonymous ? post.username : undefined
+    }, user, io, previousContent);
+    
+    // Don't send revision history with the post
+    const postObject = post.toObject();
+    delete postObject.revisions;
+    const [postResponse] = await postService.preparePostsForViewer([postObject], user);
     
     res.status(200).json({
       success: true,
-      data: { reactions: updatedPost.reactions },
-      message: 'Reaction added successfully',
+      data: { post: postResponse },
+      message: 'Post updated successfully',
       error: null,
-      meta: {}
+      meta: {
+        revisionCount: post.revisions.length,
+        editableUntil: editDeadline
+      }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
       data: null,
-      message: 'Failed to add reaction',
+      message: 'Failed to update post',
       error: {
         code: 'SERVER_001',
         details: error.message
@@ -457,24 +668,293 @@ exports.addReaction = async (req, res) => {
 };
 
 /**
- * Remove reaction from a post
- * @route DELETE /api/posts/:id/reactions/:type
+ * Get revision history of a post
+ * @route GET /api/posts/:id/revisions
  */
-exports.removeReaction = async (req, res) => {
+exports.getPostRevisions = async (req, res) => {
   try {
-    const { id, type } = req.params;
+    const { id } = req.params;
     const user = req.user;
     
-    // Validate reaction type
-    const validReactions = ['❤️', '👍', '😂', '😮', '🙌'];
-    if (!validReactions.includes(type)) {
+    // Find the post
+    const post = await Post.findById(id).select('+revisions');
+    
+    // Posts outside the viewer's audience look missing; admins can still see them
+    if (!post || isPostExpired(post) || (!canViewPost(post, user) && !(user && user.isAdmin))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if post is visible to user
+    if (post.visibility !== 'public') {
+      if (!user || (post.userId.toString() !== user._id.toString() && !user.isAdmin)) {
+        return res.status(403).json({
+          success: false,
+          data: null,
+          message: 'You do not have permission to view this post',
+          error: {
+            code: 'AUTH_003',
+            details: 'Post is not public'
+          },
+          meta: {}
+        });
+      }
+    }
+    
+    // Newest revision first
+    const revisions = [...post.revisions].reverse();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        current: {
+          content: post.content,
+          contentWarning: post.contentWarning,
+          hashtags: post.hashtags,
+          updatedAt: post.updatedAt
+        },
+        revisions
+      },
+      message: 'Post revisions retrieved successfully',
+      error: null,
+      meta: {
+        revisionCount: revisions.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve post revisions',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Delete a post
+ * @route DELETE /api/posts/:id
+ */
+exports.deletePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    
+    // Find the post; deleting it again must not repeat the side effects
+    const post = await Post.findById(id);
+    
+    if (!post || post.visibility === 'deleted') {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if user is the author or an admin
+    if (post.userId.toString() !== user._id.toString() && !user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'You do not have permission to delete this post',
+        error: {
+          code: 'AUTH_003',
+          details: 'Not authorized to delete this post'
+        },
+        meta: {}
+      });
+    }
+    
+    // Soft delete the post
+    post.visibility = 'deleted';
+    await post.save();
+    
+    // Decrement user's post count
+    await User.findByIdAndUpdate(user._id, {
+      $inc: { 'activityMetrics.totalPosts': -1 }
+    });
+    
+    // Reposts no longer count as a share of the original
+    if (post.repostOf) {
+      await postService.removeShare(post.repostOf);
+    }
+    
+    // Remove the post from the author's pinned posts
+    await postService.unpinPosts([post._id]);
+    
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Post deleted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to delete post',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * List users who reacted to a post
+ * Pass type to list a single reaction type.
+ * @route GET /api/posts/:id/reactions
+ */
+exports.getPostReactions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, cursor, limit = 20 } = req.query;
+    const parsedLimit = Math.min(parseInt(limit) || 20, 50);
+    const user = req.user;
+    
+    const post = await Post.findById(id).select('userId visibility expiresAt audience mentions reactions isAnonymous').lean();
+    
+    if (!post || isPostExpired(post) || !canViewPost(post, user)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Posts of blocked users, or users who blocked the viewer, look missing too;
+    // anonymous posts skip this so their author can't be probed for
+    if (user && !post.isAnonymous) {
+      const author = await User.findById(post.userId).select('blockedUsers');
+      const isBlocked = user.blockedUsers.some(blockedId => blockedId.toString() === post.userId.toString()) ||
+        (author && author.blockedUsers.some(blockedId => blockedId.toString() === user._id.toString()));
+      
+      if (isBlocked) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          message: 'Post not found',
+          error: {
+            code: 'POST_001',
+            details: 'The requested post does not exist'
+          },
+          meta: {}
+        });
+      }
+    }
+    
+    // Check if post is visible to user
+    if (post.visibility !== 'public') {
+      if (!user || (post.userId.toString() !== user._id.toString() && !user.isAdmin)) {
+        return res.status(403).json({
+          success: false,
+          data: null,
+          message: 'You do not have permission to view this post',
+          error: {
+            code: 'AUTH_003',
+            details: 'Post is not public'
+          },
+          meta: {}
+        });
+      }
+    }
+    
+    if (type && !(await reactionService.isKnownReactionType(type))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid reaction type',
+        error: {
+          code: 'POST_004',
+          details: 'Reaction type is not in the reaction catalogue'
+        },
+        meta: {}
+      });
+    }
+    
+    const result = await reactionService.getReactors('post', post._id, {
+      type,
+      cursor,
+      limit: parsedLimit
+    }, user);
+    
+    const summary = await reactionService.summarizeReactions(post.reactions);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        reactions: result.reactions,
+        summary
+      },
+      message: 'Reactions retrieved successfully',
+      error: null,
+      meta: {
+        pagination: {
+          nextCursor: result.nextCursor,
+          hasMore: result.hasMore
+        },
+        type: type || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve reactions',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Add reaction to a post
+ * @route POST /api/posts/:id/reactions
+ */
+exports.addReaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.body;
+    const user = req.user;
+    
+    // Validate reaction type against the enabled catalogue entries
+    const enabledTypes = await reactionService.getEnabledReactionTypes();
+    if (!enabledTypes.includes(type)) {
       return res.status(400).json({
         success: false,
         data: null,
         message: 'Invalid reaction type',
         error: {
           code: 'POST_004',
-          details: 'Reaction type must be one of: ❤️, 👍, 😂, 😮, 🙌'
+          details: `Reaction type must be one of: ${enabledTypes.join(', ')}`
         },
         meta: {}
       });
@@ -483,7 +963,7 @@ exports.removeReaction = async (req, res) => {
     // Find the post
     const post = await Post.findById(id);
     
-    if (!post) {
+    if (!post || !canViewPost(post, user)) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -496,51 +976,984 @@ exports.removeReaction = async (req, res) => {
       });
     }
     
-    // Check if user has reacted with this type
-    const hasReacted = post.reactionUsers[type].some(
-      userId => userId.toString() === user._id.toString()
-    );
+    // Check if post is public
+    if (post.visibility !== 'public') {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Cannot react to a non-public post',
+        error: {
+          code: 'POST_005',
+          details: 'Post is not public'
+        },
+        meta: {}
+      });
+    }
+    
+    // Record the reaction; the unique index rejects duplicates
+    const reaction = await reactionService.addReaction({
+      userId: user._id,
+      targetType: 'post',
+      targetId: post._id,
+      type
+    });
     
-    if (!hasReacted) {
+    if (!reaction) {
       return res.status(400).json({
         success: false,
         data: null,
-        message: 'You have not reacted with this type',
+        message: 'You have already reacted with this type',
         error: {
-          code: 'POST_007',
-          details: 'User has not added this reaction'
+          code: 'POST_006',
+          details: 'User has already added this reaction'
         },
         meta: {}
       });
     }
     
-    // Update post to remove reaction
+    // Update post reaction counter
     await Post.findByIdAndUpdate(id, {
-      $inc: { [`reactions.${type}`]: -1 },
-      $pull: { [`reactionUsers.${type}`]: user._id }
+      $inc: { [`reactions.${type}`]: 1 }
     });
     
     // Update user's reaction count
     await User.findByIdAndUpdate(user._id, {
-      $inc: { 'activityMetrics.totalReactionsGiven': -1 }
+      $inc: { 'activityMetrics.totalReactionsGiven': 1 }
     });
     
     // Update post owner's received reactions count
     await User.findByIdAndUpdate(post.userId, {
-      $inc: { 'activityMetrics.totalReactionsReceived': -1 }
+      $inc: { 'activityMetrics.totalReactionsReceived': 1 }
     });
     
     // Get updated post reactions
     const updatedPost = await Post.findById(id, 'reactions');
     
     // Update engagement score
-    updatedPost.updateEngagementScore();
+    updatedPost.updateEngagementScore(await reactionService.getReactionWeights());
     await updatedPost.save();
     
+    // Create reaction notification
+    const io = req.app.get('io');
+    await notificationService.createReactionNotification({
+      contentType: 'post',
+      contentId: post._id,
+      actor: user,
+      contentOwner: { _id: post.userId },
+      reactionType: type
+    }, io);
+    
+    res.status(200).json({
+      success: true,
+      data: { reactions: updatedPost.reactions },
+      message: 'Reaction added successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to add reaction',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Remove reaction from a post
+ * @route DELETE /api/posts/:id/reactions/:type
+ */
+exports.removeReaction = async (req, res) => {
+  try {
+    const { id, type } = req.params;
+    const user = req.user;
+    
+    // Reactions of disabled types can still be removed
+    if (!(await reactionService.isKnownReactionType(type))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid reaction type',
+        error: {
+          code: 'POST_004',
+          details: 'Reaction type is not in the reaction catalogue'
+        },
+        meta: {}
+      });
+    }
+    
+    // Find the post
+    const post = await Post.findById(id);
+    
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Remove the reaction
+    const reaction = await reactionService.removeReaction({
+      userId: user._id,
+      targetType: 'post',
+      targetId: post._id,
+      type
+    });
+    
+    if (!reaction) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You have not reacted with this type',
+        error: {
+          code: 'POST_007',
+          details: 'User has not added this reaction'
+        },
+        meta: {}
+      });
+    }
+    
+    // Update post reaction counter
+    await Post.findByIdAndUpdate(id, {
+      $inc: { [`reactions.${type}`]: -1 }
+    });
+    
+    // Update user's reaction count
+    await User.findByIdAndUpdate(user._id, {
+      $inc: { 'activityMetrics.totalReactionsGiven': -1 }
+    });
+    
+    // Update post owner's received reactions count
+    await User.findByIdAndUpdate(post.userId, {
+      $inc: { 'activityMetrics.totalReactionsReceived': -1 }
+    });
+    
+    // Get updated post reactions
+    const updatedPost = await Post.findById(id, 'reactions');
+    
+    // Update engagement score
+    updatedPost.updateEngagementScore(await reactionService.getReactionWeights());
+    await updatedPost.save();
+    
+    res.status(200).json({
+      success: true,
+      data: { reactions: updatedPost.reactions },
+      message: 'Reaction removed successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to remove reaction',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Get a post's poll
+ * @route GET /api/posts/:id/poll
+ */
+exports.getPoll = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    
+    // Find the post
+    const post = await Post.findById(id).lean();
+    
+    if (!post || post.visibility !== 'public' || !canViewPost(post, user)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    if (!post.poll) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post does not have a poll',
+        error: {
+          code: 'POST_015',
+          details: 'The requested post has no poll attached'
+        },
+        meta: {}
+      });
+    }
+    
+    const [postWithPoll] = await pollService.attachPollState([post], user);
+    
+    res.status(200).json({
+      success: true,
+      data: { poll: postWithPoll.poll },
+      message: 'Poll retrieved successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve poll',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Vote in a post's poll
+ * @route POST /api/posts/:id/poll/vote
+ */
+exports.votePoll = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { optionIds } = req.body;
+    const user = req.user;
+    
+    // Basic validation
+    if (!Array.isArray(optionIds) || optionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid poll options',
+        error: {
+          code: 'POST_018',
+          details: 'At least one option ID must be provided'
+        },
+        meta: {}
+      });
+    }
+    
+    // Find the post
+    const post = await Post.findById(id);
+    
+    if (!post || !canViewPost(post, user)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if post is public
+    if (post.visibility !== 'public') {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Cannot vote on a non-public post',
+        error: {
+          code: 'POST_005',
+          details: 'Post is not public'
+        },
+        meta: {}
+      });
+    }
+    
+    if (!post.poll) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post does not have a poll',
+        error: {
+          code: 'POST_015',
+          details: 'The requested post has no poll attached'
+        },
+        meta: {}
+      });
+    }
+    
+    if (pollService.isClosed(post.poll)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Poll is closed',
+        error: {
+          code: 'POST_016',
+          details: 'Voting on this poll has ended'
+        },
+        meta: {}
+      });
+    }
+    
+    // Validate the chosen options
+    const uniqueOptionIds = [...new Set(optionIds.map(String))];
+    const pollOptionIds = post.poll.options.map(option => option._id.toString());
+    const allOptionsValid = uniqueOptionIds.every(optionId => pollOptionIds.includes(optionId));
+    
+    if (!allOptionsValid || (!post.poll.multipleChoice && uniqueOptionIds.length > 1)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid poll options',
+        error: {
+          code: 'POST_018',
+          details: post.poll.multipleChoice 
+            ? 'Options must belong to this poll' 
+            : 'This poll only allows a single choice'
+        },
+        meta: {}
+      });
+    }
+    
+    // Record the vote; the unique index rejects concurrent double votes
+    try {
+      await PollVote.create({
+        postId: post._id,
+        userId: user._id,
+        optionIds: uniqueOptionIds
+      });
+    } catch (voteError) {
+      if (voteError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'You have already voted in this poll',
+          error: {
+            code: 'POST_017',
+            details: 'User has already voted in this poll'
+          },
+          meta: {}
+        });
+      }
+      
+      throw voteError;
+    }
+    
+    // Update tallies
+    const updatedPost = await Post.findByIdAndUpdate(
+      id,
+      {
+        $inc: {
+          'poll.options.$[option].voteCount': 1,
+          'poll.totalVoters': 1
+        }
+      },
+      {
+        arrayFilters: [{ 'option._id': { $in: post.poll.options
+          .filter(option => uniqueOptionIds.includes(option._id.toString()))
+          .map(option => option._id) } }],
+        new: true
+      }
+    );
+    
+    // Broadcast tally change
+    const io = req.app.get('io');
+    emitPollUpdate(io, post._id, pollService.buildTallyUpdate(updatedPost.poll));
+    
+    res.status(200).json({
+      success: true,
+      data: { poll: pollService.presentPoll(updatedPost.poll, uniqueOptionIds) },
+      message: 'Vote recorded successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to record vote',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Remove a vote from a post's poll
+ * @route DELETE /api/posts/:id/poll/vote
+ */
+exports.unvotePoll = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    
+    // Find the post
+    const post = await Post.findById(id);
+    
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    if (!post.poll) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post does not have a poll',
+        error: {
+          code: 'POST_015',
+          details: 'The requested post has no poll attached'
+        },
+        meta: {}
+      });
+    }
+    
+    if (pollService.isClosed(post.poll)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Poll is closed',
+        error: {
+          code: 'POST_016',
+          details: 'Voting on this poll has ended'
+        },
+        meta: {}
+      });
+    }
+    
+    // Remove the vote
+    const vote = await PollVote.findOneAndDelete({
+      postId: post._id,
+      userId: user._id
+    });
+    
+    if (!vote) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You have not voted in this poll',
+        error: {
+          code: 'POST_019',
+          details: 'User has not voted in this poll'
+        },
+        meta: {}
+      });
+    }
+    
+    // Update tallies
+    const updatedPost = await Post.findByIdAndUpdate(
+      id,
+      {
+        $inc: {
+          'poll.options.$[option].voteCount': -1,
+          'poll.totalVoters': -1
+        }
+      },
+      {
+        arrayFilters: [{ 'option._id': { $in: vote.optionIds } }],
+        new: true
+      }
+    );
+    
+    // Broadcast tally change
+    const io = req.app.get('io');
+    emitPollUpdate(io, post._id, pollService.buildTallyUpdate(updatedPost.poll));
+    
+    res.status(200).json({
+      success: true,
+      data: { poll: pollService.presentPoll(updatedPost.poll) },
+      message: 'Vote removed successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to remove vote',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Update who may comment on a post and whether it is locked
+ * @route PATCH /api/posts/:id/comment-settings
+ */
+exports.updateCommentSettings = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { locked, allowedCommenters } = req.body;
+    const user = req.user;
+
+    // Validate settings
+    const validLocked = locked === undefined || typeof locked === 'boolean';
+    const validCommenters = allowedCommenters === undefined ||
+      commentService.ALLOWED_COMMENTERS.includes(allowedCommenters);
+
+    if (!validLocked || !validCommenters || (locked === undefined && allowedCommenters === undefined)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid comment settings',
+        error: {
+          code: 'COMMENT_014',
+          details: `Provide locked as a boolean and/or allowedCommenters as one of: ${commentService.ALLOWED_COMMENTERS.join(', ')}`
+        },
+        meta: {}
+      });
+    }
+
+    // Find the post
+    const post = await Post.findById(id);
+
+    if (!post || post.visibility === 'deleted') {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+
+    // Only the author can change comment settings
+    if (post.userId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'You do not have permission to change comment settings for this post',
+        error: {
+          code: 'AUTH_003',
+          details: 'Not authorized to change comment settings for this post'
+        },
+        meta: {}
+      });
+    }
+
+    if (locked !== undefined) {
+      post.commentSettings.locked = locked;
+    }
+
+    if (allowedCommenters !== undefined) {
+      post.commentSettings.allowedCommenters = allowedCommenters;
+    }
+
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      data: { commentSettings: post.commentSettings },
+      message: 'Comment settings updated successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to update comment settings',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Pin a post to the author's profile
+ * @route POST /api/posts/:id/pin
+ */
+exports.pinPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    const maxPinnedPosts = config.posts.maxPinnedPosts;
+
+    // Find the post
+    const post = await Post.findById(id);
+
+    if (!post || isPostExpired(post)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+
+    // Only the author can pin a post
+    if (post.userId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'You can only pin your own posts',
+        error: {
+          code: 'AUTH_003',
+          details: 'Not authorized to pin this post'
+        },
+        meta: {}
+      });
+    }
+
+    // Check if post is public
+    if (post.visibility !== 'public') {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Cannot pin a non-public post',
+        error: {
+          code: 'POST_005',
+          details: 'Post is not public'
+        },
+        meta: {}
+      });
+    }
+
+    // Pinning would tie an anonymous post to the author's profile
+    if (post.isAnonymous) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Cannot pin an anonymous post',
+        error: {
+          code: 'POST_036',
+          details: 'Anonymous posts cannot be pinned to a profile'
+        },
+        meta: {}
+      });
+    }
+
+    // Check if already pinned
+    if (user.pinnedPosts.some(pinnedId => pinnedId.toString() === id)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Post is already pinned',
+        error: {
+          code: 'POST_026',
+          details: 'This post is already pinned to your profile'
+        },
+        meta: {}
+      });
+    }
+
+    // Pin the post, guarding the limit against concurrent pins
+    const updatedUser = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        pinnedPosts: { $ne: post._id },
+        [`pinnedPosts.${maxPinnedPosts - 1}`]: { $exists: false }
+      },
+      { $push: { pinnedPosts: { $each: [post._id], $position: 0 } } },
+      { new: true }
+    );
+
+    if (!updatedUser) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Pinned post limit reached',
+        error: {
+          code: 'POST_027',
+          details: `You can pin at most ${maxPinnedPosts} posts`
+        },
+        meta: {}
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { pinnedPosts: updatedUser.pinnedPosts },
+      message: 'Post pinned successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to pin post',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Unpin a post from the author's profile
+ * @route DELETE /api/posts/:id/pin
+ */
+exports.unpinPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    // Check if pinned
+    if (!user.pinnedPosts.some(pinnedId => pinnedId.toString() === id)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Post is not pinned',
+        error: {
+          code: 'POST_028',
+          details: 'This post is not pinned to your profile'
+        },
+        meta: {}
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      user._id,
+      { $pull: { pinnedPosts: id } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { pinnedPosts: updatedUser.pinnedPosts },
+      message: 'Post unpinned successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to unpin post',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Repost a post, or quote it when commentary is provided
+ * @route POST /api/posts/:id/repost
+ */
+exports.repostPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, contentWarning } = req.body;
+    const user = req.user;
+
+    const isQuote = typeof content === 'string' && content.trim() !== '';
+
+    // Find the post
+    let original = await Post.findById(id);
+
+    // Reposting a plain repost shares the post it points to
+    if (original && original.repostType === 'repost') {
+      original = await Post.findById(original.repostOf);
+    }
+
+    if (!original || isPostExpired(original) || !canViewPost(original, user)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Post not found',
+        error: {
+          code: 'POST_001',
+          details: 'The requested post does not exist'
+        },
+        meta: {}
+      });
+    }
+
+    // Check if post is public; restricted audiences can't be shared further
+    if (original.visibility !== 'public' || (original.audience || 'public') !== 'public') {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Cannot repost a non-public post',
+        error: {
+          code: 'POST_005',
+          details: 'Post is not public'
+        },
+        meta: {}
+      });
+    }
+
+    // Check blocks in either direction
+    const author = await User.findById(original.userId).select('blockedUsers');
+    const isBlocked = user.blockedUsers.some(blockedId => blockedId.toString() === original.userId.toString()) ||
+      (author && author.blockedUsers.some(blockedId => blockedId.toString() === user._id.toString()));
+
+    if (isBlocked) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'You cannot repost this post',
+        error: {
+          code: 'POST_023',
+          details: 'Reposting is not available between blocked users'
+        },
+        meta: {}
+      });
+    }
+
+    // A user can only repost a post once, but may quote it any number of times
+    if (!isQuote) {
+      const existingRepost = await Post.exists({
+        repostOf: original._id,
+        userId: user._id,
+        repostType: 'repost',
+        visibility: { $ne: 'deleted' }
+      });
+
+      if (existingRepost) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'You have already reposted this post',
+          error: {
+            code: 'POST_024',
+            details: 'User has already reposted this post'
+          },
+          meta: {}
+        });
+      }
+    }
+
+    // Publish the repost
+    const io = req.app.get('io');
+    const repostType = isQuote ? 'quote' : 'repost';
+    const repost = await postService.publishPost(user, {
+      content: isQuote ? content : '',
+      contentWarning: isQuote ? contentWarning : undefined,
+      // Plain reposts have no text of their own to detect
+      language: isQuote ? undefined : original.language,
+      repostOf: original._id,
+      repostType
+    }, io);
+
+    // Update share count on the original
+    await postService.recordShare(original._id);
+
+    // Notify the original author
+    await notificationService.createRepostNotification({
+      repostId: repost._id,
+      repostType,
+      originalPostId: original._id,
+      actor: user,
+      contentOwner: { _id: original.userId }
+    }, io);
+
+    const [postResponse] = await postService.preparePostsForViewer([repost.toObject()], user);
+
+    res.status(201).json({
+      success: true,
+      data: { post: postResponse },
+      message: isQuote ? 'Post quoted successfully' : 'Post reposted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to repost',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Undo a repost
+ * @route DELETE /api/posts/:id/repost
+ */
+exports.undoRepost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    // Find the user's repost of the post
+    const repost = await Post.findOne({
+      repostOf: id,
+      userId: user._id,
+      repostType: 'repost',
+      visibility: { $ne: 'deleted' }
+    });
+
+    if (!repost) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You have not reposted this post',
+        error: {
+          code: 'POST_025',
+          details: 'User has not reposted this post'
+        },
+        meta: {}
+      });
+    }
+
+    // Soft delete the repost
+    repost.visibility = 'deleted';
+    await repost.save();
+    
+    // Remove the repost from the user's pinned posts
+    await postService.unpinPosts([repost._id]);
+
+    // Decrement user's post count
+    await User.findByIdAndUpdate(user._id, {
+      $inc: { 'activityMetrics.totalPosts': -1 }
+    });
+
+    // Update share count on the original
+    await postService.removeShare(id);
+
     res.status(200).json({
       success: true,
-      data: { reactions: updatedPost.reactions },
-      message: 'Reaction removed successfully',
+      data: null,
+      message: 'Repost removed successfully',
       error: null,
       meta: {}
     });
@@ -548,7 +1961,7 @@ exports.removeReaction = async (req, res) => {
     res.status(500).json({
       success: false,
       data: null,
-      message: 'Failed to remove reaction',
+      message: 'Failed to remove repost',
       error: {
         code: 'SERVER_001',
         details: error.message
@@ -570,7 +1983,7 @@ exports.savePost = async (req, res) => {
     // Find the post
     const post = await Post.findById(id);
     
-    if (!post) {
+    if (!post || !canViewPost(post, user)) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -616,10 +2029,53 @@ exports.savePost = async (req, res) => {
       });
     }
     
+    // File the save into a collection and attach a note if requested
+    let collectionId = null;
+    if (req.body.collectionId) {
+      const collection = await bookmarkService.findCollection(user._id, req.body.collectionId);
+      
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          message: 'Collection not found',
+          error: {
+            code: 'BOOKMARK_003',
+            details: 'The requested collection does not exist'
+          },
+          meta: {}
+        });
+      }
+      
+      collectionId = collection._id;
+    }
+    
+    let note;
+    if (req.body.note !== undefined) {
+      const noteResult = bookmarkService.validateNote(req.body.note);
+      
+      if (!noteResult.valid) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'Invalid note',
+          error: {
+            code: 'BOOKMARK_005',
+            details: noteResult.details
+          },
+          meta: {}
+        });
+      }
+      
+      note = noteResult.note;
+    }
+    
     // Save the post
-    await SavedPost.create({
+    const savedPost = await SavedPost.create({
       userId: user._id,
-      postId: id
+      postId: id,
+      collectionId,
+      note
     });
     
     // Increment save count on post
@@ -629,7 +2085,7 @@ exports.savePost = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: null,
+      data: { savedPost },
       message: 'Post saved successfully',
       error: null,
       meta: {}
@@ -710,28 +2166,55 @@ exports.unsavePost = async (req, res) => {
 
 /**
  * Get saved posts
+ * Pass collection to list one collection, or 'unsorted' for saves outside any collection.
  * @route GET /api/posts/saved
  */
 exports.getSavedPosts = async (req, res) => {
   try {
     const user = req.user;
-    const { cursor, limit = 15 } = req.query;
+    const { cursor, limit = 15, collection } = req.query;
     const parsedLimit = Math.min(parseInt(limit), 50);
     
     // Base query
     let query = { userId: user._id };
     
+    // Restrict to one collection, or to saves outside any collection
+    if (collection === 'unsorted') {
+      query.collectionId = null;
+    } else if (collection) {
+      const bookmarkCollection = await bookmarkService.findCollection(user._id, collection);
+      
+      if (!bookmarkCollection) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          message: 'Collection not found',
+          error: {
+            code: 'BOOKMARK_003',
+            details: 'The requested collection does not exist'
+          },
+          meta: {}
+        });
+      }
+      
+      query.collectionId = bookmarkCollection._id;
+    }
+    
     // Apply cursor-based pagination if cursor is provided
     if (cursor) {
-      const cursorDoc = await SavedPost.findById(cursor);
+      const cursorDoc = await SavedPost.findOne({ _id: cursor, userId: user._id });
       if (cursorDoc) {
-        query.savedAt = { $lt: cursorDoc.savedAt };
+        // Break ties between saves made at the same time by ID
+        query.$or = [
+          { savedAt: { $lt: cursorDoc.savedAt } },
+          { savedAt: cursorDoc.savedAt, _id: { $lt: cursorDoc._id } }
+        ];
       }
     }
     
     // Get saved posts
     const savedPosts = await SavedPost.find(query)
-      .sort({ savedAt: -1 })
+      .sort({ savedAt: -1, _id: -1 })
       .limit(parsedLimit + 1) // Get one extra to determine if there are more
       .lean();
     
@@ -743,35 +2226,25 @@ exports.getSavedPosts = async (req, res) => {
       savedPosts.pop();
     }
     
-    // Get the post IDs
-    const postIds = savedPosts.map(saved => saved.postId);
-    
-    // Get the actual posts
-    const posts = await Post.find({
-      _id: { $in: postIds },
-      visibility: 'public'
-    }).lean();
-    
-    // Sort posts in the same order as saved posts
-    const orderedPosts = postIds.map(id => 
-      posts.find(post => post._id.toString() === id.toString())
-    ).filter(Boolean);
-    
     // Get the next cursor
     const nextCursor = savedPosts.length > 0 
       ? savedPosts[savedPosts.length - 1]._id 
       : null;
     
+    // Attach the posts, with tombstones for deleted or moderated ones
+    const preparedPosts = await bookmarkService.presentSavedPosts(savedPosts, user);
+    
     res.status(200).json({
       success: true,
-      data: { posts: orderedPosts },
+      data: { posts: preparedPosts },
       message: 'Saved posts retrieved successfully',
       error: null,
       meta: {
         pagination: {
           nextCursor: nextCursor,
           hasMore: hasMore
-        }
+        },
+        collection: collection || null
       }
     });
   } catch (error) {
@@ -865,7 +2338,10 @@ exports.getTrendingPosts = async (req, res) => {
     // Build query
     let query = {
       visibility: 'public',
-      createdAt: { $gte: startTime }
+      createdAt: { $gte: startTime },
+      ...notExpiredCondition(),
+      ...audienceCondition(user),
+      ...languageCondition(user)
     };
     
     // Add category filter if specified
@@ -873,6 +2349,9 @@ exports.getTrendingPosts = async (req, res) => {
       query.hashtags = category;
     }
     
+    // Leave out muted authors and hashtags
+    applyMutedConditions(query, user);
+    
     // Get posts with highest engagement score
     const posts = await Post.find(query)
       .sort({ engagementScore: -1 })
@@ -882,9 +2361,12 @@ exports.getTrendingPosts = async (req, res) => {
     // Filter posts based on user preferences
     const filteredPosts = user ? filterPostsForUser(posts, user) : posts;
     
+    // Embed repost originals and viewer-specific poll state
+    const preparedPosts = await postService.preparePostsForViewer(filteredPosts, user);
+    
     res.status(200).json({
       success: true,
-      data: { posts: filteredPosts },
+      data: { posts: preparedPosts },
       message: 'Trending posts retrieved successfully',
       error: null,
       meta: {
@@ -920,7 +2402,9 @@ exports.getPostsByHashtag = async (req, res) => {
     // Base query
     let query = { 
       visibility: 'public',
-      hashtags: tag.toLowerCase() 
+      hashtags: tag.toLowerCase(),
+      ...notExpiredCondition(),
+      ...audienceCondition(user)
     };
     
     // Apply cursor-based pagination if cursor is provided
@@ -928,6 +2412,9 @@ exports.getPostsByHashtag = async (req, res) => {
       query._id = { $lt: cursor };
     }
     
+    // Leave out muted authors and hashtags
+    applyMutedConditions(query, user);
+    
     // Get posts
     const posts = await Post.find(query)
       .sort({ createdAt: -1 })
@@ -945,14 +2432,21 @@ exports.getPostsByHashtag = async (req, res) => {
     // Filter posts based on user preferences
     const filteredPosts = user ? filterPostsForUser(posts, user) : posts;
     
-    // Get the next cursor
-    const nextCursor = filteredPosts.length > 0 
-      ? filteredPosts[filteredPosts.length - 1]._id 
+    // Get the next cursor from the last fetched post
+    const nextCursor = posts.length > 0 
+      ? posts[posts.length - 1]._id 
       : null;
     
+    // Embed repost originals and viewer-specific poll state
+    const preparedPosts = await postService.preparePostsForViewer(filteredPosts, user);
+    
+    const isFollowing = user
+      ? await hashtagService.isFollowingHashtag(user._id, tag.toLowerCase())
+      : false;
+    
     res.status(200).json({
       success: true,
-      data: { posts: filteredPosts },
+      data: { posts: preparedPosts },
       message: 'Posts by hashtag retrieved successfully',
       error: null,
       meta: {
@@ -960,7 +2454,8 @@ exports.getPostsByHashtag = async (req, res) => {
           nextCursor: nextCursor,
           hasMore: hasMore
         },
-        hashtag: tag
+        hashtag: tag,
+        isFollowing
       }
     });
   } catch (error) {
@@ -977,6 +2472,246 @@ exports.getPostsByHashtag = async (req, res) => {
   }
 };
 
+/**
+ * Follow a hashtag
+ * @route POST /api/posts/hashtag/:tag/follow
+ */
+exports.followHashtag = async (req, res) => {
+  try {
+    const { tag } = req.params;
+    const { notifySpikes = false } = req.body;
+    const user = req.user;
+    
+    const hashtag = normalizeHashtag(tag);
+    
+    if (!hashtag) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid hashtag',
+        error: {
+          code: 'POST_029',
+          details: 'Hashtag may only contain letters, numbers and underscores'
+        },
+        meta: {}
+      });
+    }
+    
+    if (typeof notifySpikes !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid hashtag follow settings',
+        error: {
+          code: 'POST_033',
+          details: 'notifySpikes must be a boolean'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if already following
+    if (await hashtagService.isFollowingHashtag(user._id, hashtag)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You are already following this hashtag',
+        error: {
+          code: 'POST_030',
+          details: 'This hashtag is already in your followed hashtags'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check the followed hashtag limit
+    const followedCount = await HashtagFollow.countDocuments({ userId: user._id });
+    
+    if (followedCount >= config.hashtags.maxFollowed) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Followed hashtag limit reached',
+        error: {
+          code: 'POST_032',
+          details: `You can follow up to ${config.hashtags.maxFollowed} hashtags`
+        },
+        meta: {}
+      });
+    }
+    
+    const hashtagFollow = await HashtagFollow.create({
+      userId: user._id,
+      hashtag,
+      notifySpikes
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: { hashtagFollow },
+      message: 'Hashtag followed successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to follow hashtag',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Update notification settings for a followed hashtag
+ * @route PATCH /api/posts/hashtag/:tag/follow
+ */
+exports.updateHashtagFollow = async (req, res) => {
+  try {
+    const { tag } = req.params;
+    const { notifySpikes } = req.body;
+    const user = req.user;
+    
+    if (typeof notifySpikes !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid hashtag follow settings',
+        error: {
+          code: 'POST_033',
+          details: 'notifySpikes must be a boolean'
+        },
+        meta: {}
+      });
+    }
+    
+    const hashtagFollow = await HashtagFollow.findOneAndUpdate(
+      { userId: user._id, hashtag: normalizeHashtag(tag) },
+      { notifySpikes },
+      { new: true }
+    );
+    
+    if (!hashtagFollow) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You are not following this hashtag',
+        error: {
+          code: 'POST_031',
+          details: 'This hashtag is not in your followed hashtags'
+        },
+        meta: {}
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: { hashtagFollow },
+      message: 'Hashtag follow updated successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to update hashtag follow',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Unfollow a hashtag
+ * @route DELETE /api/posts/hashtag/:tag/follow
+ */
+exports.unfollowHashtag = async (req, res) => {
+  try {
+    const { tag } = req.params;
+    const user = req.user;
+    
+    const result = await HashtagFollow.deleteOne({
+      userId: user._id,
+      hashtag: normalizeHashtag(tag)
+    });
+    
+    if (result.deletedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You are not following this hashtag',
+        error: {
+          code: 'POST_031',
+          details: 'This hashtag is not in your followed hashtags'
+        },
+        meta: {}
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Hashtag unfollowed successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to unfollow hashtag',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Get hashtags followed by the current user
+ * @route GET /api/posts/hashtags/following
+ */
+exports.getFollowedHashtags = async (req, res) => {
+  try {
+    const user = req.user;
+    
+    const hashtags = await HashtagFollow.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .select('hashtag notifySpikes createdAt')
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      data: { hashtags },
+      message: 'Followed hashtags retrieved successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve followed hashtags',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
 /**
  * Get user's posts
  * @route GET /api/posts/user/:userId
@@ -1026,12 +2761,24 @@ exports.getUserPosts = async (req, res) => {
     // Base query
     let query = { 
       userId,
-      visibility: 'public'
+      visibility: 'public',
+      ...notExpiredCondition(),
+      ...audienceCondition(user)
     };
     
+    // Anonymous posts are only listed on the author's own profile
+    if (!user || user._id.toString() !== postAuthor._id.toString()) {
+      query.isAnonymous = { $ne: true };
+    }
+    
+    // Pinned posts are listed separately at the top of the first page
+    if (postAuthor.pinnedPosts.length > 0) {
+      query._id = { $nin: postAuthor.pinnedPosts };
+    }
+    
     // Apply cursor-based pagination if cursor is provided
     if (cursor) {
-      query._id = { $lt: cursor };
+      query._id = { ...query._id, $lt: cursor };
     }
     
     // Get posts
@@ -1048,17 +2795,23 @@ exports.getUserPosts = async (req, res) => {
       posts.pop();
     }
     
-    // Filter posts based on user preferences
-    const filteredPosts = user ? filterPostsForUser(posts, user) : posts;
+    // Filter posts based on user preferences; mutes don't apply to profile visits
+    const filteredPosts = user ? filterPostsForUser(posts, user, { applyMutes: false }) : posts;
     
-    // Get the next cursor
-    const nextCursor = filteredPosts.length > 0 
-      ? filteredPosts[filteredPosts.length - 1]._id 
+    // Get the next cursor from the last fetched post
+    const nextCursor = posts.length > 0 
+      ? posts[posts.length - 1]._id 
       : null;
     
+    // Embed repost originals and viewer-specific poll state
+    const preparedPosts = await postService.preparePostsForViewer(filteredPosts, user);
+    
+    // Get pinned posts for the first page
+    const pinnedPosts = cursor ? [] : await postService.getPinnedPosts(postAuthor, user);
+    
     res.status(200).json({
       success: true,
-      data: { posts: filteredPosts },
+      data: { posts: [...pinnedPosts, ...preparedPosts] },
       message: 'User posts retrieved successfully',
       error: null,
       meta: {
@@ -1094,7 +2847,7 @@ exports.getExploreContent = async (req, res) => {
     const parsedLimit = Math.min(parseInt(limit), 50);
     
     // Base query
-    let query = { visibility: 'public' };
+    let query = { visibility: 'public', ...notExpiredCondition(), ...audienceCondition(user), ...languageCondition(user) };
     
     // Add category filter if specified
     if (category) {
@@ -1111,6 +2864,9 @@ exports.getExploreContent = async (req, res) => {
       query.userId = { $nin: user.blockedUsers };
     }
     
+    // Leave out muted authors and hashtags
+    applyMutedConditions(query, user);
+    
     // Get posts - mix of recent and high engagement
     const recentPosts = await Post.find(query)
       .sort({ createdAt: -1 })
@@ -1142,14 +2898,17 @@ exports.getExploreContent = async (req, res) => {
     // Filter posts based on user preferences
     const filteredPosts = user ? filterPostsForUser(posts, user) : posts;
     
-    // Get the next cursor
-    const nextCursor = filteredPosts.length > 0 
-      ? filteredPosts[filteredPosts.length - 1]._id 
+    // Get the next cursor from the last fetched post
+    const nextCursor = posts.length > 0 
+      ? posts[posts.length - 1]._id 
       : null;
     
+    // Embed repost originals and viewer-specific poll state
+    const preparedPosts = await postService.preparePostsForViewer(filteredPosts, user);
+    
     res.status(200).json({
       success: true,
-      data: { posts: filteredPosts },
+      data: { posts: preparedPosts },
       message: 'Explore content retrieved successfully',
       error: null,
       meta: {
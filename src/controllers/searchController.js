@@ -1,7 +1,8 @@
 // src/controllers/searchController.js
 const searchService = require('../services/searchService');
 const Post = require('../models/postModel');
-const { filterPostsForUser } = require('../utils/postUtils');
+const postService = require('../services/postService');
+const { filterPostsForUser, applyMutedConditions, notExpiredCondition, audienceCondition } = require('../utils/postUtils');
 
 /**
  * Search posts
@@ -45,9 +46,12 @@ exports.searchPosts = async (req, res) => {
     // Get the next cursor
     const nextCursor = from + searchResults.results.length;
     
+    // Embed repost originals and viewer-specific poll state
+    const results = await postService.preparePostsForViewer(searchResults.results, user);
+    
     res.status(200).json({
       success: true,
-      data: { results: searchResults.results },
+      data: { results },
       message: 'Search completed successfully',
       error: null,
       meta: {
@@ -312,7 +316,9 @@ exports.getCategories = async (req, res) => {
       
       // Base query
       let query = { 
-        visibility: 'public'
+        visibility: 'public',
+        ...notExpiredCondition(),
+        ...audienceCondition(user)
       };
       
       // Add hashtag filter if applicable
@@ -325,6 +331,9 @@ exports.getCategories = async (req, res) => {
         query._id = { $lt: cursor };
       }
       
+      // Leave out muted authors and hashtags
+      applyMutedConditions(query, user);
+      
       // Get posts
       const posts = await Post.find(query)
         .sort({ createdAt: -1 })
@@ -342,14 +351,17 @@ exports.getCategories = async (req, res) => {
       // Filter posts based on user preferences if authenticated
       const filteredPosts = user ? filterPostsForUser(posts, user) : posts;
       
-      // Get the next cursor
-      const nextCursor = filteredPosts.length > 0 
-        ? filteredPosts[filteredPosts.length - 1]._id 
+      // Get the next cursor from the last fetched post
+      const nextCursor = posts.length > 0 
+        ? posts[posts.length - 1]._id 
         : null;
       
+      // Embed repost originals and viewer-specific poll state
+      const preparedPosts = await postService.preparePostsForViewer(filteredPosts, user);
+      
       res.status(200).json({
         success: true,
-        data: { posts: filteredPosts },
+        data: { posts: preparedPosts },
         message: 'Category posts retrieved successfully',
         error: null,
         meta: {
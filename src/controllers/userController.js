@@ -1,7 +1,13 @@
 //src/controllers/userController.j
 const User = require('../models/userModel');
 const Post = require('../models/postModel');
+const Follow = require('../models/followModel');
 const searchService = require('../services/searchService');
+const followService = require('../services/followService');
+const postService = require('../services/postService');
+const tokenService = require('../services/tokenService');
+const { normalizeHashtag } = require('../utils/postUtils');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../utils/languageUtils');
 
 /**
  * Get current user profile
@@ -22,6 +28,8 @@ exports.getCurrentUser = async (req, res) => {
       activityMetrics: user.activityMetrics,
       contentSettings: user.contentSettings,
       keywordFilters: user.keywordFilters,
+      mutedHashtags: user.mutedHashtags,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
       isAdmin: user.isAdmin
     };
     
@@ -60,6 +68,39 @@ exports.updateCurrentUser = async (req, res) => {
     
     const user = req.user;
     
+    // Validate the default audience of new posts
+    if (contentSettings && contentSettings.defaultVisibility &&
+        !postService.AUDIENCES.includes(contentSettings.defaultVisibility)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid default visibility',
+        error: {
+          code: 'USER_020',
+          details: `defaultVisibility must be one of: ${postService.AUDIENCES.join(', ')}`
+        },
+        meta: {}
+      });
+    }
+    
+    // Validate preferred languages
+    if (settings && settings.preferredLanguages !== undefined) {
+      const { preferredLanguages } = settings;
+      
+      if (!Array.isArray(preferredLanguages) || !preferredLanguages.every(isSupportedLanguage)) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: 'Invalid preferred languages',
+          error: {
+            code: 'USER_021',
+            details: `preferredLanguages must be a list of: ${SUPPORTED_LANGUAGES.join(', ')}`
+          },
+          meta: {}
+        });
+      }
+    }
+    
     // Update fields if provided
     if (avatarUrl) user.avatarUrl = avatarUrl;
     if (settings) {
@@ -82,6 +123,9 @@ exports.updateCurrentUser = async (req, res) => {
       // Update other settings
       if (settings.darkMode !== undefined) user.settings.darkMode = settings.darkMode;
       if (settings.dataCollection !== undefined) user.settings.dataCollection = settings.dataCollection;
+      if (settings.preferredLanguages !== undefined) {
+        user.settings.preferredLanguages = [...new Set(settings.preferredLanguages)];
+      }
     }
     
     // Update content settings
@@ -177,13 +221,22 @@ exports.getPublicProfile = async (req, res) => {
       }
     }
     
+    // Get follower and following counts
+    const followCounts = await followService.getFollowCounts(user._id);
+    
     // Create public profile response
     const publicProfile = {
       _id: user._id,
       username: user.username,
       avatarUrl: user.avatarUrl,
       createdAt: user.createdAt,
-      activityMetrics: user.activityMetrics
+      activityMetrics: user.activityMetrics,
+      followerCount: followCounts.followers,
+      followingCount: followCounts.following,
+      isFollowing: currentUser 
+        ? await followService.isFollowing(currentUser._id, user._id) 
+        : false,
+      pinnedPosts: await postService.getPinnedPosts(user, currentUser)
     };
     
     res.status(200).json({
@@ -268,6 +321,9 @@ exports.blockUser = async (req, res) => {
     user.blockedUsers.push(userToBlock._id);
     await user.save();
     
+    // Blocking severs any follow relationship in either direction
+    await followService.removeMutualFollows(user._id, userToBlock._id);
+    
     res.status(200).json({
       success: true,
       data: null,
@@ -394,6 +450,612 @@ exports.getBlockedUsers = async (req, res) => {
   }
 };
 
+/**
+ * Mute a user
+ * @route POST /api/users/mute/:username
+ */
+exports.muteUser = async (req, res) => {
+  try {
+    const { username } = req.params;
+    const user = req.user;
+    
+    // Find user to mute
+    const userToMute = await User.findOne({ username });
+    
+    if (!userToMute) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'User not found',
+        error: {
+          code: 'USER_002',
+          details: 'The requested user does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Cannot mute yourself
+    if (userToMute._id.toString() === user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You cannot mute yourself',
+        error: {
+          code: 'USER_014',
+          details: 'Self-muting is not allowed'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if already muted
+    const alreadyMuted = user.mutedUsers.some(
+      id => id.toString() === userToMute._id.toString()
+    );
+    
+    if (alreadyMuted) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'User is already muted',
+        error: {
+          code: 'USER_015',
+          details: 'This user is already in your muted list'
+        },
+        meta: {}
+      });
+    }
+    
+    // Add user to muted list
+    user.mutedUsers.push(userToMute._id);
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'User muted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to mute user',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Unmute a user
+ * @route DELETE /api/users/mute/:username
+ */
+exports.unmuteUser = async (req, res) => {
+  try {
+    const { username } = req.params;
+    const user = req.user;
+    
+    // Find user to unmute
+    const userToUnmute = await User.findOne({ username });
+    
+    if (!userToUnmute) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'User not found',
+        error: {
+          code: 'USER_002',
+          details: 'The requested user does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if user is muted
+    const isMuted = user.mutedUsers.some(
+      id => id.toString() === userToUnmute._id.toString()
+    );
+    
+    if (!isMuted) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'User is not in your muted list',
+        error: {
+          code: 'USER_016',
+          details: 'This user is not in your muted list'
+        },
+        meta: {}
+      });
+    }
+    
+    // Remove user from muted list
+    user.mutedUsers = user.mutedUsers.filter(
+      id => id.toString() !== userToUnmute._id.toString()
+    );
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'User unmuted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to unmute user',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Get muted users and hashtags
+ * @route GET /api/users/muted
+ */
+exports.getMuted = async (req, res) => {
+  try {
+    const user = req.user;
+    
+    // Get details of muted users
+    const mutedUsers = await User.find(
+      { _id: { $in: user.mutedUsers } },
+      'username avatarUrl'
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        mutedUsers,
+        mutedHashtags: user.mutedHashtags
+      },
+      message: 'Muted users and hashtags retrieved successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to retrieve muted users and hashtags',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Mute a hashtag
+ * @route POST /api/users/muted-hashtags
+ */
+exports.muteHashtag = async (req, res) => {
+  try {
+    const { hashtag } = req.body;
+    const user = req.user;
+    
+    const normalizedHashtag = normalizeHashtag(hashtag);
+    
+    if (!normalizedHashtag) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Invalid hashtag',
+        error: {
+          code: 'USER_017',
+          details: 'Hashtag may only contain letters, numbers and underscores'
+        },
+        meta: {}
+      });
+    }
+    
+    if (user.mutedHashtags.includes(normalizedHashtag)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Hashtag is already muted',
+        error: {
+          code: 'USER_018',
+          details: 'This hashtag is already in your muted list'
+        },
+        meta: {}
+      });
+    }
+    
+    // Add hashtag to muted list
+    user.mutedHashtags.push(normalizedHashtag);
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: { mutedHashtags: user.mutedHashtags },
+      message: 'Hashtag muted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to mute hashtag',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Unmute a hashtag
+ * @route DELETE /api/users/muted-hashtags/:hashtag
+ */
+exports.unmuteHashtag = async (req, res) => {
+  try {
+    const { hashtag } = req.params;
+    const user = req.user;
+    
+    const normalizedHashtag = normalizeHashtag(hashtag);
+    
+    if (!normalizedHashtag || !user.mutedHashtags.includes(normalizedHashtag)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Hashtag not found',
+        error: {
+          code: 'USER_019',
+          details: 'This hashtag is not in your muted list'
+        },
+        meta: {}
+      });
+    }
+    
+    // Remove hashtag from muted list
+    user.mutedHashtags = user.mutedHashtags.filter(tag => tag !== normalizedHashtag);
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: { mutedHashtags: user.mutedHashtags },
+      message: 'Hashtag unmuted successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to unmute hashtag',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Follow a user
+ * @route POST /api/users/:username/follow
+ */
+exports.followUser = async (req, res) => {
+  try {
+    const { username } = req.params;
+    const user = req.user;
+    
+    // Find user to follow
+    const userToFollow = await User.findOne({ username, isActive: true });
+    
+    if (!userToFollow) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'User not found',
+        error: {
+          code: 'USER_002',
+          details: 'The requested user does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Cannot follow yourself
+    if (userToFollow._id.toString() === user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You cannot follow yourself',
+        error: {
+          code: 'USER_011',
+          details: 'Self-following is not allowed'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if either user has blocked the other
+    const isBlocked = user.blockedUsers.some(
+      id => id.toString() === userToFollow._id.toString()
+    );
+    
+    const isBlockedBy = userToFollow.blockedUsers.some(
+      id => id.toString() === user._id.toString()
+    );
+    
+    if (isBlocked || isBlockedBy) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Cannot follow this user',
+        error: {
+          code: 'USER_010',
+          details: 'User is blocked or has blocked you'
+        },
+        meta: {}
+      });
+    }
+    
+    // Check if already following
+    const alreadyFollowing = await followService.isFollowing(user._id, userToFollow._id);
+    
+    if (alreadyFollowing) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You are already following this user',
+        error: {
+          code: 'USER_012',
+          details: 'This user is already in your following list'
+        },
+        meta: {}
+      });
+    }
+    
+    // Create the follow relationship
+    await Follow.create({
+      followerId: user._id,
+      followingId: userToFollow._id
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'User followed successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to follow user',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Unfollow a user
+ * @route DELETE /api/users/:username/follow
+ */
+exports.unfollowUser = async (req, res) => {
+  try {
+    const { username } = req.params;
+    const user = req.user;
+    
+    // Find user to unfollow
+    const userToUnfollow = await User.findOne({ username });
+    
+    if (!userToUnfollow) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'User not found',
+        error: {
+          code: 'USER_002',
+          details: 'The requested user does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Remove the follow relationship
+    const result = await Follow.deleteOne({
+      followerId: user._id,
+      followingId: userToUnfollow._id
+    });
+    
+    if (result.deletedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'You are not following this user',
+        error: {
+          code: 'USER_013',
+          details: 'This user is not in your following list'
+        },
+        meta: {}
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'User unfollowed successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to unfollow user',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
+/**
+ * Get a user's followers
+ * @route GET /api/users/:username/followers
+ */
+exports.getFollowers = async (req, res) => {
+  await listFollowRelations(req, res, 'followers');
+};
+
+/**
+ * Get users a user is following
+ * @route GET /api/users/:username/following
+ */
+exports.getFollowing = async (req, res) => {
+  await listFollowRelations(req, res, 'following');
+};
+
+/**
+ * Shared handler for follower and following lists
+ * @private
+ */
+const listFollowRelations = async (req, res, direction) => {
+  try {
+    const { username } = req.params;
+    const { cursor, limit = 20 } = req.query;
+    const parsedLimit = Math.min(parseInt(limit), 50);
+    const currentUser = req.user;
+    
+    // Find the profile owner
+    const user = await User.findOne({ username });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'User not found',
+        error: {
+          code: 'USER_002',
+          details: 'The requested user does not exist'
+        },
+        meta: {}
+      });
+    }
+    
+    // Followers point at this user, following point away from it
+    const ownField = direction === 'followers' ? 'followingId' : 'followerId';
+    const otherField = direction === 'followers' ? 'followerId' : 'followingId';
+    
+    // Base query
+    let query = { [ownField]: user._id };
+    
+    // Apply cursor-based pagination if cursor is provided
+    if (cursor) {
+      query._id = { $lt: cursor };
+    }
+    
+    // Get follow relationships
+    const follows = await Follow.find(query)
+      .sort({ _id: -1 })
+      .limit(parsedLimit + 1) // Get one extra to determine if there are more
+      .lean();
+    
+    // Determine if there are more relationships
+    const hasMore = follows.length > parsedLimit;
+    
+    // Remove the extra relationship if there are more
+    if (hasMore) {
+      follows.pop();
+    }
+    
+    // Get the related users
+    const userIds = follows.map(follow => follow[otherField]);
+    const users = await User.find(
+      { _id: { $in: userIds }, isActive: true },
+      'username avatarUrl blockedUsers'
+    ).lean();
+    
+    // Keep follow order and hide users blocked by or blocking the viewer
+    const orderedUsers = follows.map(follow => {
+      const related = users.find(u => u._id.toString() === follow[otherField].toString());
+      
+      if (!related) return null;
+      
+      if (currentUser) {
+        const isBlocked = currentUser.blockedUsers.some(
+          id => id.toString() === related._id.toString()
+        );
+        const isBlockedBy = (related.blockedUsers || []).some(
+          id => id.toString() === currentUser._id.toString()
+        );
+        
+        if (isBlocked || isBlockedBy) return null;
+      }
+      
+      return {
+        _id: related._id,
+        username: related.username,
+        avatarUrl: related.avatarUrl,
+        followedAt: follow.createdAt
+      };
+    }).filter(Boolean);
+    
+    // Get the next cursor
+    const nextCursor = follows.length > 0 
+      ? follows[follows.length - 1]._id 
+      : null;
+    
+    res.status(200).json({
+      success: true,
+      data: { users: orderedUsers },
+      message: direction === 'followers' 
+        ? 'Followers retrieved successfully' 
+        : 'Following retrieved successfully',
+      error: null,
+      meta: {
+        pagination: {
+          nextCursor: nextCursor,
+          hasMore: hasMore
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: direction === 'followers' 
+        ? 'Failed to retrieve followers' 
+        : 'Failed to retrieve following',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
+};
+
 /**
  * Add keyword filter
  * @route POST /api/users/keyword-filters
@@ -627,9 +1289,14 @@ exports.getActiveSessions = async (req, res) => {
   try {
     const user = req.user;
     
+    const sessions = user.activeSessions.map(session => ({
+      ...session.toObject(),
+      isCurrent: !!req.sessionId && session.sessionId === req.sessionId
+    }));
+    
     res.status(200).json({
       success: true,
-      data: { sessions: user.activeSessions },
+      data: { sessions },
       message: 'Active sessions retrieved successfully',
       error: null,
       meta: {}
@@ -650,6 +1317,7 @@ exports.getActiveSessions = async (req, res) => {
 
 /**
  * End a session
+ * Revokes the session's tokens and disconnects its sockets.
  * @route DELETE /api/users/me/active-sessions/:id
  */
 exports.endSession = async (req, res) => {
@@ -675,11 +1343,7 @@ exports.endSession = async (req, res) => {
       });
     }
     
-    // Remove session
-    user.activeSessions = user.activeSessions.filter(
-      session => session.sessionId !== id
-    );
-    await user.save();
+    await tokenService.endSession(user._id, id, 'session_ended', req.app.get('io'));
     
     res.status(200).json({
       success: true,
@@ -700,4 +1364,53 @@ exports.endSession = async (req, res) => {
       meta: {}
     });
   }
+};
+
+/**
+ * End all sessions except the current one
+ * @route DELETE /api/users/me/active-sessions
+ */
+exports.endOtherSessions = async (req, res) => {
+  try {
+    const user = req.user;
+    
+    // Without the current session every session would count as "other"
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Current session unknown',
+        error: {
+          code: 'USER_022',
+          details: 'Log in again to end your other sessions'
+        },
+        meta: {}
+      });
+    }
+    
+    const endedCount = user.activeSessions.filter(
+      session => session.sessionId !== req.sessionId
+    ).length;
+    
+    await tokenService.endAllSessions(user._id, 'session_ended', req.app.get('io'), req.sessionId);
+    
+    res.status(200).json({
+      success: true,
+      data: { endedCount },
+      message: 'Other sessions ended successfully',
+      error: null,
+      meta: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Failed to end other sessions',
+      error: {
+        code: 'SERVER_001',
+        details: error.message
+      },
+      meta: {}
+    });
+  }
 };
\ No newline at end of file
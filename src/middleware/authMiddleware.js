@@ -1,7 +1,8 @@
 // src/middleware/authMiddleware.js
-const { verifyToken } = require('../utils/authUtils');
+const { verifyToken, isSessionActive } = require('../utils/authUtils');
 const User = require('../models/userModel');
 const Token = require('../models/tokenModel');
+const denylistService = require('../services/denylistService');
 
 /**
  * Optional authentication middleware
@@ -22,10 +23,15 @@ exports.optionalAuth = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token, 'access');
 
+    // Revoked tokens are treated as missing
+    if (await denylistService.isTokenDenied(decoded)) {
+      return next();
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
-      // Invalid user, continue without user
+    if (!user || !user.isActive || !isSessionActive(user, decoded)) {
+      // Invalid user or ended session, continue without user
       return next();
     }
 
@@ -33,8 +39,9 @@ exports.optionalAuth = async (req, res, next) => {
     user.lastActive = new Date();
     await user.save({ validateBeforeSave: false });
 
-    // Set user on request object
+    // Set user and session on request object
     req.user = user;
+    req.sessionId = decoded.sessionId || null;
     next();
   } catch (error) {
     // Token verification failed, continue without user
@@ -68,6 +75,20 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token, 'access');
 
+    // Check the denylist before touching the database
+    if (await denylistService.isTokenDenied(decoded)) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Session has ended. Please log in again',
+        error: {
+          code: 'AUTH_018',
+          details: 'This access token has been revoked'
+        },
+        meta: {}
+      });
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.userId);
     if (!user) {
@@ -97,12 +118,27 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Check if the session was ended or logged out
+    if (!isSessionActive(user, decoded)) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        message: 'Session has ended. Please log in again',
+        error: {
+          code: 'AUTH_018',
+          details: 'This session was logged out or revoked'
+        },
+        meta: {}
+      });
+    }
+
     // Update last active timestamp
     user.lastActive = new Date();
     await user.save({ validateBeforeSave: false });
 
-    // Set user on request object
+    // Set user and session on request object
     req.user = user;
+    req.sessionId = decoded.sessionId || null;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -174,7 +210,7 @@ exports.isAdmin = async (req, res, next) => {
  */
 exports.adminProtect = async (req, res, next) => {
     try {
-      // First authenticate the user
+      // First authenticate the user; protect also consults the denylist
       await this.protect(req, res, () => {
         // Now check if the user is an admin
         const user = req.user;
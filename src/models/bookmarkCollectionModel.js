@@ -0,0 +1,36 @@
+// src/models/bookmarkCollectionModel.js
+const mongoose = require('mongoose');
+
+const bookmarkCollectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index to ensure collection names are unique per user
+bookmarkCollectionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Update timestamp on save
+bookmarkCollectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const BookmarkCollection = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
+
+module.exports = BookmarkCollection;
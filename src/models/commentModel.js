@@ -16,11 +16,18 @@ const commentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Comments on anonymous posts store the commenter's per-post pseudonym as username
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
   content: {
     type: String,
     maxlength: 500
   },
   gifUrl: String,
+  // Detected from the content; 'und' when it couldn't be determined
+  language: String,
   gifId: String, // Add this to store the Giphy ID
   parentId: {
     type: mongoose.Schema.ObjectId,
@@ -35,55 +42,26 @@ const commentSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Denormalized counters keyed by reaction emoji from the reaction catalogue
   reactions: {
-    "❤️": {
-      type: Number,
-      default: 0
-    },
-    "👍": {
-      type: Number,
-      default: 0
-    },
-    "😂": {
-      type: Number,
-      default: 0
-    },
-    "😮": {
-      type: Number,
-      default: 0
-    },
-    "🙌": {
-      type: Number,
-      default: 0
-    }
-  },
-  reactionUsers: {
-    "❤️": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "👍": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "😂": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "😮": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "🙌": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }]
+    type: Map,
+    of: Number,
+    default: {}
   },
   isModerated: {
     type: Boolean,
     default: false
   },
   moderationReason: String,
+  editedAt: Date,
+  // Prior versions of user-edited comments, excluded from queries by default
+  revisions: {
+    type: [{
+      content: String,
+      revisedAt: Date
+    }],
+    select: false
+  },
   visibility: {
     type: String,
     enum: ['public', 'moderated', 'deleted'],
@@ -0,0 +1,79 @@
+// src/models/draftModel.js
+const mongoose = require('mongoose');
+
+// Poll settings are kept as submitted; closing time is computed on publish
+const draftPollSchema = new mongoose.Schema({
+  options: [String],
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  hideResults: {
+    type: Boolean,
+    default: false
+  },
+  durationHours: Number
+}, { _id: false });
+
+const draftSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+  contentWarning: String,
+  poll: {
+    type: draftPollSchema,
+    default: undefined
+  },
+  // Expiry option applied when the post is published
+  expiresIn: String,
+  // Audience of the published post; unset uses the author's default
+  audience: {
+    type: String,
+    enum: ['public', 'mentioned', 'only_me']
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'publishing', 'published', 'failed'],
+    default: 'draft'
+  },
+  publishAt: Date,
+  publishedPostId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post'
+  },
+  failureReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a user's drafts
+draftSchema.index({ userId: 1, createdAt: -1 });
+// Index for the scheduled publisher
+draftSchema.index({ status: 1, publishAt: 1 });
+
+// Update updatedAt on save
+draftSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Draft = mongoose.model('Draft', draftSchema);
+
+module.exports = Draft;
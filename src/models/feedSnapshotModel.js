@@ -0,0 +1,45 @@
+// src/models/feedSnapshotModel.js
+const mongoose = require('mongoose');
+
+// Ranked feed order fixed when the first page is requested, so later pages
+// neither skip nor repeat posts whose scores changed in the meantime
+const feedSnapshotSchema = new mongoose.Schema({
+  // Null for logged-out viewers
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  entries: [{
+    _id: false,
+    postId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Where the chronological feed picks up once the ranked posts run out
+  continueFromId: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  rankedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove snapshots of finished feed sessions
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FeedSnapshot = mongoose.model('FeedSnapshot', feedSnapshotSchema);
+
+module.exports = FeedSnapshot;
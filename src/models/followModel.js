@@ -0,0 +1,29 @@
+// src/models/followModel.js
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  followerId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  followingId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index to ensure a user can only follow another user once
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+
+// Index for efficiently listing a user's followers
+followSchema.index({ followingId: 1, createdAt: -1 });
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
@@ -0,0 +1,36 @@
+// src/models/hashtagFollowModel.js
+const mongoose = require('mongoose');
+
+const hashtagFollowSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hashtag: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Notify the follower when activity on the hashtag spikes
+  notifySpikes: {
+    type: Boolean,
+    default: false
+  },
+  lastSpikeNotifiedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index to ensure a user can only follow a hashtag once
+hashtagFollowSchema.index({ userId: 1, hashtag: 1 }, { unique: true });
+
+// Index for finding spike notification subscribers of a hashtag
+hashtagFollowSchema.index({ hashtag: 1, notifySpikes: 1 });
+
+const HashtagFollow = mongoose.model('HashtagFollow', hashtagFollowSchema);
+
+module.exports = HashtagFollow;
@@ -10,7 +10,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['reaction', 'comment', 'reply', 'mention', 'system'],
+    enum: ['reaction', 'comment', 'reply', 'mention', 'repost', 'hashtag', 'system'],
     required: true
   },
   actorId: {
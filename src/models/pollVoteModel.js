@@ -0,0 +1,30 @@
+// src/models/pollVoteModel.js
+const mongoose = require('mongoose');
+
+const pollVoteSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  optionIds: [{
+    type: mongoose.Schema.ObjectId,
+    required: true
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index to ensure a user can only vote once per poll
+pollVoteSchema.index({ postId: 1, userId: 1 }, { unique: true });
+
+const PollVote = mongoose.model('PollVote', pollVoteSchema);
+
+module.exports = PollVote;
@@ -1,6 +1,37 @@
 // src/models/postModel.js
 const mongoose = require('mongoose');
 
+const pollSchema = new mongoose.Schema({
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      maxlength: 80
+    },
+    voteCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  // Hide tallies from viewers until they vote or the poll closes
+  hideResults: {
+    type: Boolean,
+    default: false
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  },
+  totalVoters: {
+    type: Number,
+    default: 0
+  }
+});
+
 const postSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.ObjectId,
@@ -13,7 +44,10 @@ const postSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: true,
+    // Plain reposts carry no commentary of their own
+    required: function() {
+      return this.repostType !== 'repost';
+    },
     maxlength: 1000
   },
   createdAt: {
@@ -25,55 +59,48 @@ const postSchema = new mongoose.Schema({
     default: Date.now
   },
   hashtags: [String],
+  // Denormalized counters keyed by reaction emoji from the reaction catalogue
   reactions: {
-    "❤️": {
-      type: Number,
-      default: 0
-    },
-    "👍": {
-      type: Number,
-      default: 0
-    },
-    "😂": {
-      type: Number,
-      default: 0
-    },
-    "😮": {
-      type: Number,
-      default: 0
-    },
-    "🙌": {
-      type: Number,
-      default: 0
-    }
-  },
-  reactionUsers: {
-    "❤️": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "👍": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "😂": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "😮": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }],
-    "🙌": [{
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    }]
+    type: Map,
+    of: Number,
+    default: {}
   },
   commentCount: {
     type: Number,
     default: 0
   },
   contentWarning: String,
+  poll: {
+    type: pollSchema,
+    default: undefined
+  },
+  // Ephemeral posts are hidden once expired and later swept to deleted
+  expiresAt: Date,
+  // Reposts and quote posts reference the original post
+  repostOf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post'
+  },
+  repostType: {
+    type: String,
+    enum: ['repost', 'quote']
+  },
+  // Author controls for the comment section
+  commentSettings: {
+    locked: {
+      type: Boolean,
+      default: false
+    },
+    allowedCommenters: {
+      type: String,
+      enum: ['everyone', 'mentioned', 'nobody'],
+      default: 'everyone'
+    },
+    pinnedCommentId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Comment'
+    }
+  },
   isModerated: {
     type: Boolean,
     default: false
@@ -84,6 +111,19 @@ const postSchema = new mongoose.Schema({
     enum: ['public', 'moderated', 'deleted'],
     default: 'public'
   },
+  // Who may see the post; 'mentioned' also lets the mentioned users see it
+  audience: {
+    type: String,
+    enum: ['public', 'mentioned', 'only_me'],
+    default: 'public'
+  },
+  // Lowercase usernames mentioned in the content
+  mentions: [String],
+  // Anonymous posts store the author's per-post pseudonym as username
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
   impressionCount: {
     type: Number,
     default: 0
@@ -96,9 +136,10 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Detected from the content; 'und' when it couldn't be determined
   language: {
     type: String,
-    default: 'en'
+    default: 'und'
   },
   geoTag: String,
   edits: [{
@@ -108,6 +149,16 @@ const postSchema = new mongoose.Schema({
       enum: ['moderation', 'user-initiated']
     }
   }],
+  // Prior versions of user-edited posts, excluded from queries by default
+  revisions: {
+    type: [{
+      content: String,
+      contentWarning: String,
+      hashtags: [String],
+      revisedAt: Date
+    }],
+    select: false
+  },
   saveCount: {
     type: Number,
     default: 0
@@ -135,25 +186,33 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Methods to update engagement score
-postSchema.methods.updateEngagementScore = function() {
-  // Simple engagement score calculation
-  const reactionTotal = 
-    (this.reactions["❤️"] || 0) + 
-    (this.reactions["👍"] || 0) + 
-    (this.reactions["😂"] || 0) + 
-    (this.reactions["😮"] || 0) + 
-    (this.reactions["🙌"] || 0);
+// Calculate a decayed engagement score from a post's counters
+// Static so lean documents (e.g. feed ranking candidates) can be scored too.
+// Reactions are weighted by the catalogue; types missing from it count for nothing.
+postSchema.statics.calculateEngagementScore = function(post, now = Date.now(), reactionWeights = {}) {
+  // Lean documents hold a plain object, hydrated ones a Map
+  const reactions = post.reactions instanceof Map
+    ? Object.fromEntries(post.reactions)
+    : (post.reactions || {});
+  const reactionTotal = Object.entries(reactions).reduce(
+    (total, [type, count]) => total + (count || 0) * (reactionWeights[type] || 0),
+    0
+  );
   
-  const ageInHours = (Date.now() - this.createdAt) / (1000 * 60 * 60);
+  const ageInHours = (now - post.createdAt) / (1000 * 60 * 60);
   const decayFactor = Math.exp(-ageInHours / 24); // 24-hour half-life
   
-  this.engagementScore = (
+  return (
     (reactionTotal * 1) + 
-    ((this.commentCount || 0) * 2) + 
-    ((this.shareCount || 0) * 3) + 
-    ((this.impressionCount || 0) * 0.1)
+    ((post.commentCount || 0) * 2) + 
+    ((post.shareCount || 0) * 3) + 
+    ((post.impressionCount || 0) * 0.1)
   ) * decayFactor;
+};
+
+// Methods to update engagement score
+postSchema.methods.updateEngagementScore = function(reactionWeights) {
+  this.engagementScore = this.constructor.calculateEngagementScore(this, Date.now(), reactionWeights);
   
   return this.engagementScore;
 };
@@ -166,9 +225,19 @@ postSchema.index(
         hashtags: 10,
         username: 5
       },
-      name: "post_search_index"
+      name: "post_search_index",
+      // Detected language codes such as 'und' aren't text search languages,
+      // so keep MongoDB from reading the language field as an override
+      language_override: "textLanguage"
     }
   );
+
+// Index for the expired post sweeper
+postSchema.index({ expiresAt: 1 }, { sparse: true });
+
+// Index for finding a user's reposts of a post
+postSchema.index({ repostOf: 1, userId: 1 }, { sparse: true });
+
 const Post = mongoose.model('Post', postSchema);
 
 module.exports = Post;
\ No newline at end of file
@@ -0,0 +1,41 @@
+// src/models/reactionModel.js
+const mongoose = require('mongoose');
+
+const reactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index to ensure a user can only add each reaction type once per target
+reactionSchema.index({ userId: 1, targetType: 1, targetId: 1, type: 1 }, { unique: true });
+
+// Indexes for listing reactions on a target, optionally filtered by type
+reactionSchema.index({ targetType: 1, targetId: 1, _id: -1 });
+reactionSchema.index({ targetType: 1, targetId: 1, type: 1, _id: -1 });
+
+// Index for a user's recent reactions
+reactionSchema.index({ userId: 1, targetType: 1, createdAt: -1 });
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+module.exports = Reaction;
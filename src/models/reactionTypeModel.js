@@ -0,0 +1,48 @@
+// src/models/reactionTypeModel.js
+const mongoose = require('mongoose');
+
+const reactionTypeSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Multiplier applied to this reaction's count in engagement scoring
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+reactionTypeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const ReactionType = mongoose.model('ReactionType', reactionTypeSchema);
+
+module.exports = ReactionType;
@@ -12,6 +12,14 @@ const savedPostSchema = new mongoose.Schema({
     ref: 'Post',
     required: true
   },
+  // Collection the save is filed in; null for unsorted saves
+  collectionId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BookmarkCollection',
+    default: null
+  },
+  // Private note, only visible to the user who saved the post
+  note: String,
   savedAt: {
     type: Date,
     default: Date.now
@@ -21,6 +29,9 @@ const savedPostSchema = new mongoose.Schema({
 // Compound index to ensure a user can only save a post once
 savedPostSchema.index({ userId: 1, postId: 1 }, { unique: true });
 
+// Index for listing the saves in a collection
+savedPostSchema.index({ userId: 1, collectionId: 1, savedAt: -1 });
+
 const SavedPost = mongoose.model('SavedPost', savedPostSchema);
 
 module.exports = SavedPost;
\ No newline at end of file
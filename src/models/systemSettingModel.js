@@ -0,0 +1,28 @@
+// src/models/systemSettingModel.js
+const mongoose = require('mongoose');
+
+// Platform-wide settings managed by admins, kept in a single document
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'system',
+    unique: true
+  },
+  // Every admin session login must pass two-factor authentication
+  requireAdminTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const SystemSetting = mongoose.model('SystemSetting', systemSettingSchema);
+
+module.exports = SystemSetting;
@@ -16,18 +16,46 @@ const tokenSchema = new mongoose.Schema({
     enum: ['access', 'refresh'],
     required: true
   },
+  // Refresh tokens descended from the same login share a family
+  familyId: {
+    type: String
+  },
   expiresAt: {
     type: Date,
     required: true
   },
   deviceInfo: String,
   ipAddress: String,
+  isAdminSession: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the token has been exchanged for its successor
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Token'
+  },
   isRevoked: {
     type: Boolean,
     default: false
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'session_ended', 'password_change', 'password_reset', 'reuse_detected', 'account_deactivated']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+tokenSchema.index({ token: 1 });
+tokenSchema.index({ familyId: 1 });
+
 const Token = mongoose.model('Token', tokenSchema);
 
-module.exports = Token;
\ No newline at end of file
+module.exports = Token;
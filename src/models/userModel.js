@@ -60,6 +60,17 @@ email: {
     ref: 'User'
   }],
   keywordFilters: [String],
+  // Muting hides content and notifications without the other user knowing
+  mutedUsers: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  mutedHashtags: [String],
+  // Own posts shown at the top of the profile, most recently pinned first
+  pinnedPosts: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post'
+  }],
   accountRecoveryTokens: [{
     token: String,
     createdAt: Date,
@@ -74,6 +85,61 @@ email: {
     ipAddress: String,
     lastActive: Date
   }],
+  // Failed login tracking, lockout and the devices the user has signed in from
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    // Lockouts since the last successful login; each one lasts longer
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    unlockToken: {
+      // SHA-256 hash of the token emailed to the user
+      token: {
+        type: String,
+        select: false
+      },
+      expiresAt: Date
+    },
+    knownDevices: [{
+      deviceInfo: String,
+      ipAddress: String,
+      firstSeen: Date,
+      lastSeen: Date
+    }]
+  },
+  // TOTP two-factor authentication; secrets and backup codes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation while enrolling
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so codes can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   settings: {
     notificationPreferences: {
       reactions: {
@@ -88,6 +154,14 @@ email: {
         type: Boolean,
         default: true
       },
+      reposts: {
+        type: Boolean,
+        default: true
+      },
+      hashtags: {
+        type: Boolean,
+        default: true
+      },
       system: {
         type: Boolean,
         default: true
@@ -103,6 +177,8 @@ email: {
         default: false
       }
     },
+    // Languages shown in feeds, explore, trending and search; empty shows all
+    preferredLanguages: [String],
     darkMode: {
       type: Boolean,
       default: false
@@ -131,9 +207,10 @@ email: {
     }
   },
   contentSettings: {
+    // Default audience of new posts; 'limited' is the legacy name for 'mentioned'
     defaultVisibility: {
       type: String,
-      enum: ['public', 'limited'],
+      enum: ['public', 'limited', 'mentioned', 'only_me'],
       default: 'public'
     },
     autoModeration: {
@@ -39,10 +39,17 @@ router.post('/categories', adminController.createCategory);
 router.patch('/categories/:id', adminController.updateCategory);
 router.delete('/categories/:id', adminController.deleteCategory);
 
+// Reaction catalogue management
+router.get('/reactions', adminController.getReactionTypes);
+router.post('/reactions', adminController.createReactionType);
+router.patch('/reactions/:id', adminController.updateReactionType);
+router.delete('/reactions/:id', adminController.deleteReactionType);
+
 // System management
 router.get('/statistics', adminController.getStatistics);
 router.get('/logs', adminController.getLogs);
 router.post('/announcements', adminController.createAnnouncement);
+router.get('/settings', adminController.getSettings);
 router.patch('/settings', adminController.updateSettings);
 
 // Admin activity
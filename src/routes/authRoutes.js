@@ -9,6 +9,8 @@ const router = express.Router();
 // Public routes with rate limiting
 router.post('/register', authLimiter, authController.register);
 router.post('/login', authLimiter, authController.login);
+router.post('/login/2fa', authLimiter, authController.verifyTwoFactorLogin);
+router.post('/unlock-account', authLimiter, authController.unlockAccount);
 router.post('/refresh-token', authLimiter, authController.refreshToken);
 router.post('/recovery-pin', authLimiter, authController.getRecoveryPin);
 router.post('/reset-password', authLimiter, authController.resetPassword);
@@ -22,4 +24,10 @@ router.post('/admin/login', authLimiter, authController.adminLogin);
 router.post('/logout', protect, authController.logout);
 router.post('/change-password', protect, authController.changePassword);
 
+// Two-factor authentication
+router.post('/2fa/setup', protect, authController.setupTwoFactor);
+router.post('/2fa/confirm', protect, authLimiter, authController.confirmTwoFactor);
+router.post('/2fa/disable', protect, authLimiter, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', protect, authLimiter, authController.regenerateBackupCodes);
+
 module.exports = router;
\ No newline at end of file
@@ -7,13 +7,19 @@ const { commentLimiter } = require('../middleware/rateLimitMiddleware');
 const router = express.Router();
 
 // Comment management
+router.patch('/:id', protect, commentController.updateComment);
 router.delete('/:id', protect, commentController.deleteComment);
 
+// Pin functionality (post author only)
+router.post('/:id/pin', protect, commentController.pinComment);
+router.delete('/:id/pin', protect, commentController.unpinComment);
+
 // Reply functionality
 router.post('/:commentId/replies', protect, commentLimiter, commentController.addReply);
 router.get('/:commentId/replies', optionalAuth, commentController.getReplies);
 
 // Reaction functionality
+router.get('/:id/reactions', optionalAuth, commentController.getCommentReactions);
 router.post('/:id/reactions', protect, commentController.addCommentReaction);
 router.delete('/:id/reactions/:type', protect, commentController.removeCommentReaction);
 
@@ -2,6 +2,8 @@
 const express = require('express');
 const postController = require('../controllers/postController');
 const commentController = require('../controllers/commentController');
+const draftController = require('../controllers/draftController');
+const bookmarkController = require('../controllers/bookmarkController');
 const { protect, optionalAuth } = require('../middleware/authMiddleware');
 const { postLimiter, commentLimiter } = require('../middleware/rateLimitMiddleware');
 
@@ -13,17 +15,54 @@ router.get('/feed', optionalAuth, postController.getPersonalizedFeed);
 router.get('/explore', optionalAuth, postController.getExploreContent);
 router.get('/trending', optionalAuth, postController.getTrendingPosts);
 router.get('/hashtag/:tag', optionalAuth, postController.getPostsByHashtag);
+router.get('/hashtags/following', protect, postController.getFollowedHashtags);
+router.post('/hashtag/:tag/follow', protect, postController.followHashtag);
+router.patch('/hashtag/:tag/follow', protect, postController.updateHashtagFollow);
+router.delete('/hashtag/:tag/follow', protect, postController.unfollowHashtag);
 router.get('/user/:userId', optionalAuth, postController.getUserPosts);
 router.get('/saved', protect, postController.getSavedPosts);
+router.get('/saved/collections', protect, bookmarkController.getCollections);
+router.post('/saved/collections', protect, bookmarkController.createCollection);
+router.patch('/saved/collections/:collectionId', protect, bookmarkController.updateCollection);
+router.delete('/saved/collections/:collectionId', protect, bookmarkController.deleteCollection);
+
+// Draft and scheduled post routes
+router.post('/drafts', protect, draftController.createDraft);
+router.get('/drafts', protect, draftController.getDrafts);
+router.get('/drafts/:draftId', protect, draftController.getDraft);
+router.patch('/drafts/:draftId', protect, draftController.updateDraft);
+router.delete('/drafts/:draftId', protect, draftController.deleteDraft);
+router.post('/drafts/:draftId/publish', protect, postLimiter, draftController.publishDraft);
+
 router.get('/:id', optionalAuth, postController.getPost);
+router.patch('/:id', protect, postController.updatePost);
 router.delete('/:id', protect, postController.deletePost);
+router.get('/:id/revisions', optionalAuth, postController.getPostRevisions);
 
 // Reaction routes
+router.get('/:id/reactions', optionalAuth, postController.getPostReactions);
 router.post('/:id/reactions', protect, postController.addReaction);
 router.delete('/:id/reactions/:type', protect, postController.removeReaction);
 
+// Comment settings route
+router.patch('/:id/comment-settings', protect, postController.updateCommentSettings);
+
+// Pin routes
+router.post('/:id/pin', protect, postController.pinPost);
+router.delete('/:id/pin', protect, postController.unpinPost);
+
+// Repost routes
+router.post('/:id/repost', protect, postLimiter, postController.repostPost);
+router.delete('/:id/repost', protect, postController.undoRepost);
+
+// Poll routes
+router.get('/:id/poll', optionalAuth, postController.getPoll);
+router.post('/:id/poll/vote', protect, postController.votePoll);
+router.delete('/:id/poll/vote', protect, postController.unvotePoll);
+
 // Save/bookmark routes
 router.post('/:id/save', protect, postController.savePost);
+router.patch('/:id/save', protect, bookmarkController.updateSave);
 router.delete('/:id/save', protect, postController.unsavePost);
 
 // Report route
@@ -32,5 +71,6 @@ router.post('/:id/report', protect, postController.reportPost);
 // Comment routes
 router.post('/:postId/comments', protect, commentLimiter, commentController.addComment);
 router.get('/:postId/comments', optionalAuth, commentController.getComments);
+router.get('/:postId/comments/tree', optionalAuth, commentController.getCommentTree);
 
 module.exports = router;
\ No newline at end of file
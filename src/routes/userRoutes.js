@@ -1,7 +1,7 @@
 // src/routes/userRoutes.js
 const express = require('express');
 const userController = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -11,13 +11,26 @@ router.patch('/me', protect, userController.updateCurrentUser);
 router.delete('/me', protect, userController.deleteAccount);
 
 // Public profile
-router.get('/:username/public', userController.getPublicProfile);
+router.get('/:username/public', optionalAuth, userController.getPublicProfile);
+
+// Follow graph
+router.post('/:username/follow', protect, userController.followUser);
+router.delete('/:username/follow', protect, userController.unfollowUser);
+router.get('/:username/followers', optionalAuth, userController.getFollowers);
+router.get('/:username/following', optionalAuth, userController.getFollowing);
 
 // User blocking
 router.post('/block/:username', protect, userController.blockUser);
 router.delete('/block/:username', protect, userController.unblockUser);
 router.get('/blocked', protect, userController.getBlockedUsers);
 
+// User and hashtag muting
+router.post('/mute/:username', protect, userController.muteUser);
+router.delete('/mute/:username', protect, userController.unmuteUser);
+router.get('/muted', protect, userController.getMuted);
+router.post('/muted-hashtags', protect, userController.muteHashtag);
+router.delete('/muted-hashtags/:hashtag', protect, userController.unmuteHashtag);
+
 // Content filtering
 router.post('/keyword-filters', protect, userController.addKeywordFilter);
 router.get('/keyword-filters', protect, userController.getKeywordFilters);
@@ -26,6 +39,7 @@ router.delete('/keyword-filters/:keyword', protect, userController.removeKeyword
 // User statistics and sessions
 router.get('/me/stats', protect, userController.getUserStats);
 router.get('/me/active-sessions', protect, userController.getActiveSessions);
+router.delete('/me/active-sessions', protect, userController.endOtherSessions);
 router.delete('/me/active-sessions/:id', protect, userController.endSession);
 
 module.exports = router;
\ No newline at end of file
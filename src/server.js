@@ -4,7 +4,11 @@ const http = require('http');
 const app = require('./app');
 const config = require('./config/config');
 const connectDB = require('./config/database');
+const { connectRedis, disconnectRedis } = require('./config/redis');
 const { initializeWebSocket } = require('./websocket');
+const draftService = require('./services/draftService');
+const expiryService = require('./services/expiryService');
+const hashtagService = require('./services/hashtagService');
 const mongoose = require('mongoose');
 
 // Connect to database
@@ -23,12 +27,20 @@ const startServer = async () => {
   // Create HTTP server
   const server = http.createServer(app);
 
+  // Connect to Redis for the token denylist; falls back to memory if unavailable
+  await connectRedis();
+
   // Initialize WebSocket
   const io = initializeWebSocket(server);
 
   // Make io accessible throughout the application
   app.set('io', io);
 
+  // Start background workers
+  draftService.startScheduledPublisher(io);
+  expiryService.startExpirySweeper();
+  hashtagService.startSpikeNotifier(io);
+
   // Start server
   server.listen(config.port, () => {
     console.log(`Lowercase API running on port ${config.port} in ${config.environment} mode`);
@@ -39,6 +51,11 @@ const startServer = async () => {
   const handleShutdown = async (signal) => {
     console.log(`${signal} received. Shutting down gracefully...`);
     
+    // Stop background workers
+    draftService.stopScheduledPublisher();
+    expiryService.stopExpirySweeper();
+    hashtagService.stopSpikeNotifier();
+    
     server.close(() => {
       console.log('HTTP server closed');
       
@@ -50,6 +67,8 @@ const startServer = async () => {
         console.error('Error closing MongoDB connection:', err);
       }
       
+      disconnectRedis().catch(err => console.error('Error closing Redis connection:', err));
+      
       console.log('Server shutdown complete');
       process.exit(0);
     });
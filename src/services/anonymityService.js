@@ -0,0 +1,84 @@
+// src/services/anonymityService.js
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const config = require('../config/config');
+
+const ADJECTIVES = [
+  'quiet', 'brave', 'gentle', 'curious', 'clever', 'sleepy', 'swift', 'mellow',
+  'bright', 'calm', 'eager', 'fuzzy', 'humble', 'jolly', 'lucky', 'misty',
+  'nimble', 'polite', 'rusty', 'shy', 'sunny', 'tidy', 'witty', 'zesty'
+];
+
+const ANIMALS = [
+  'otter', 'badger', 'heron', 'fox', 'panda', 'lynx', 'moth', 'owl',
+  'seal', 'wren', 'yak', 'koala', 'gecko', 'llama', 'newt', 'orca',
+  'puffin', 'raven', 'sloth', 'tapir', 'viper', 'walrus', 'bison', 'crane'
+];
+
+/**
+ * Get the pseudonym a user appears under on an anonymous post
+ * The same user always gets the same pseudonym on the same post, and the
+ * author's pseudonym on their own post matches the post's. Pseudonyms contain
+ * spaces, which usernames can't, so they never collide with a real account.
+ * @param {String} postId - Anonymous post ID
+ * @param {String} userId - Author or commenter user ID
+ * @returns {String} Pseudonym such as "quiet otter 42"
+ */
+exports.getPseudonym = (postId, userId) => {
+  const digest = crypto
+    .createHmac('sha256', config.anonymity.pseudonymSecret)
+    .update(`${postId}:${userId}`)
+    .digest();
+
+  const adjective = ADJECTIVES[digest.readUInt16BE(0) % ADJECTIVES.length];
+  const animal = ANIMALS[digest.readUInt16BE(2) % ANIMALS.length];
+  const number = digest.readUInt16BE(4) % 100;
+
+  return `${adjective} ${animal} ${number}`;
+};
+
+/**
+ * Hide the real author of anonymous content from a viewer
+ * Anonymous posts and comments already carry their pseudonym as username,
+ * so only the author ID has to go.
+ * @param {Object} item - Lean post or comment
+ * @param {Object} viewer - Current user (optional)
+ * @returns {Object} Item without userId if anonymous, with isAuthor for the viewer
+ */
+exports.maskAuthor = (item, viewer) => {
+  if (!item || !item.isAnonymous) {
+    return item;
+  }
+
+  const { userId, ...masked } = item;
+
+  return {
+    ...masked,
+    isAuthor: !!viewer && userId.toString() === viewer._id.toString()
+  };
+};
+
+/**
+ * Add the real author to anonymous posts or comments for admin views
+ * @param {Array} items - Lean posts or comments
+ * @returns {Promise<Array>} Items, anonymous ones with realAuthor
+ */
+exports.attachRealAuthors = async (items) => {
+  const authorIds = items
+    .filter(item => item.isAnonymous)
+    .map(item => item.userId);
+
+  if (authorIds.length === 0) {
+    return items;
+  }
+
+  const authors = await User.find({ _id: { $in: authorIds } })
+    .select('username')
+    .lean();
+  const authorsById = new Map(authors.map(author => [author._id.toString(), author]));
+
+  return items.map(item => item.isAnonymous
+    ? { ...item, realAuthor: authorsById.get(item.userId.toString()) || null }
+    : item
+  );
+};
@@ -0,0 +1,111 @@
+// src/services/bookmarkService.js
+const mongoose = require('mongoose');
+const Post = require('../models/postModel');
+const BookmarkCollection = require('../models/bookmarkCollectionModel');
+const postService = require('./postService');
+const config = require('../config/config');
+const { isPostExpired, canViewPost } = require('../utils/postUtils');
+
+/**
+ * Validate a bookmark collection name
+ * @param {String} name - Requested name
+ * @returns {Object} Result with either the trimmed name or an error description
+ */
+exports.validateCollectionName = (name) => {
+  const maxLength = config.bookmarks.maxCollectionNameLength;
+
+  if (typeof name !== 'string' || name.trim() === '' || name.trim().length > maxLength) {
+    return {
+      valid: false,
+      details: `Collection name must be text of 1 to ${maxLength} characters`
+    };
+  }
+
+  return { valid: true, name: name.trim() };
+};
+
+/**
+ * Validate a private note on a save
+ * @param {String|null} note - Requested note; null clears it
+ * @returns {Object} Result with either the note or an error description
+ */
+exports.validateNote = (note) => {
+  const maxLength = config.bookmarks.maxNoteLength;
+
+  if (note === null) {
+    return { valid: true, note: undefined };
+  }
+
+  if (typeof note !== 'string' || note.length > maxLength) {
+    return {
+      valid: false,
+      details: `Note must be text of at most ${maxLength} characters`
+    };
+  }
+
+  return { valid: true, note };
+};
+
+/**
+ * Find a collection owned by a user
+ * @param {String} userId - Owner user ID
+ * @param {String} collectionId - Collection ID
+ * @returns {Promise<Object|null>} Collection, or null if missing or not owned
+ */
+exports.findCollection = async (userId, collectionId) => {
+  if (!mongoose.isValidObjectId(collectionId)) {
+    return null;
+  }
+
+  return BookmarkCollection.findOne({ _id: collectionId, userId });
+};
+
+/**
+ * Present saves with their posts
+ * Deleted, moderated, expired and no longer visible posts are replaced by
+ * tombstones so saves don't vanish silently.
+ * @param {Array} savedPosts - Lean saved-post entries
+ * @param {Object} user - Current user
+ * @returns {Promise<Array>} Posts or tombstones, each with its save details
+ */
+exports.presentSavedPosts = async (savedPosts, user) => {
+  const postIds = savedPosts.map(saved => saved.postId);
+  const posts = await Post.find({ _id: { $in: postIds } }).lean();
+  const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+  const visiblePosts = posts.filter(post =>
+    post.visibility === 'public' && !isPostExpired(post) && canViewPost(post, user)
+  );
+  const preparedPosts = await postService.preparePostsForViewer(visiblePosts, user);
+  const preparedById = new Map(preparedPosts.map(post => [post._id.toString(), post]));
+
+  return savedPosts.reduce((result, saved) => {
+    const postId = saved.postId.toString();
+    const post = postsById.get(postId);
+    const savedPost = {
+      _id: saved._id,
+      collectionId: saved.collectionId || null,
+      note: saved.note || null,
+      savedAt: saved.savedAt
+    };
+
+    const prepared = preparedById.get(postId);
+
+    if (prepared) {
+      result.push({ ...prepared, savedPost });
+    } else {
+      // Plain reposts of unavailable originals are dropped when prepared
+      let reason = 'deleted';
+      if (post && isPostExpired(post)) {
+        reason = 'expired';
+      } else if (post && post.visibility === 'moderated') {
+        reason = 'moderated';
+      } else if (post && post.visibility === 'public' && !canViewPost(post, user)) {
+        reason = 'restricted';
+      }
+      result.push({ _id: saved.postId, unavailable: true, reason, savedPost });
+    }
+
+    return result;
+  }, []);
+};
@@ -0,0 +1,361 @@
+// src/services/commentService.js
+const mongoose = require('mongoose');
+const Comment = require('../models/commentModel');
+const Post = require('../models/postModel');
+const notificationService = require('./notificationService');
+const reactionService = require('./reactionService');
+const anonymityService = require('./anonymityService');
+const { canViewPost } = require('../utils/postUtils');
+
+// Sort specs for each tree sort mode; ties are always broken by ID
+const TREE_SORTS = {
+  newest: { _id: -1 },
+  oldest: { _id: 1 },
+  top: { reactionTotal: -1, _id: -1 }
+};
+
+exports.TREE_SORT_MODES = Object.keys(TREE_SORTS);
+
+exports.ALLOWED_COMMENTERS = ['everyone', 'mentioned', 'nobody'];
+
+/**
+ * Check whether a user may add a comment or reply to a post
+ * Authors are exempt from commenter restrictions but not from a lock.
+ * @param {Object} post - Post being commented on
+ * @param {Object} user - Commenting user
+ * @returns {Object|null} Error description, or null if commenting is allowed
+ */
+exports.checkCommentPermission = (post, user) => {
+  const settings = post.commentSettings || {};
+
+  if (settings.locked) {
+    return {
+      message: 'Comments are locked on this post',
+      code: 'COMMENT_011',
+      details: 'The author has locked this post to new comments'
+    };
+  }
+
+  const isAuthor = post.userId.toString() === user._id.toString();
+  if (isAuthor) {
+    return null;
+  }
+
+  if (settings.allowedCommenters === 'nobody') {
+    return {
+      message: 'Comments are turned off for this post',
+      code: 'COMMENT_012',
+      details: 'The author does not allow comments on this post'
+    };
+  }
+
+  if (settings.allowedCommenters === 'mentioned') {
+    const mentioned = notificationService.extractMentions(post.content);
+
+    if (!mentioned.includes(user.username.toLowerCase())) {
+      return {
+        message: 'Only mentioned users can comment on this post',
+        code: 'COMMENT_013',
+        details: 'The author limited comments to users mentioned in the post'
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a user may see the post a comment belongs to
+ * @param {Object} comment - Comment or reply
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Boolean>} True if the comment's post is in the user's audience
+ */
+exports.canViewCommentPost = async (comment, user) => {
+  const post = await Post.findById(comment.postId).select('userId audience mentions').lean();
+
+  return !!post && canViewPost(post, user);
+};
+
+/**
+ * Add the viewer's own reaction types to comments and any nested replies
+ * @param {Array} comments - Lean comments, optionally with replies
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Array>} Comments with viewerReactions
+ */
+exports.attachViewerReactions = async (comments, user) => {
+  const commentIds = [];
+  const collectIds = list => list.forEach(comment => {
+    commentIds.push(comment._id);
+    collectIds(comment.replies || []);
+  });
+  collectIds(comments);
+
+  const viewerReactions = await reactionService.getViewerReactions(user, 'comment', commentIds);
+  const attach = list => list.map(comment => {
+    const prepared = {
+      ...comment,
+      viewerReactions: viewerReactions.get(comment._id.toString()) || []
+    };
+
+    if (comment.replies) {
+      prepared.replies = attach(comment.replies);
+    }
+
+    return prepared;
+  });
+
+  return attach(comments);
+};
+
+/**
+ * Prepare comments for a viewer: add the viewer's reactions and hide
+ * the real authors of anonymous comments, including nested replies
+ * @param {Array} comments - Lean comments, optionally with replies
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Array>} Comments ready to be sent to the viewer
+ */
+exports.prepareCommentsForViewer = async (comments, user) => {
+  const commentsWithReactions = await this.attachViewerReactions(comments, user);
+  const mask = list => list.map(comment => {
+    const masked = anonymityService.maskAuthor(comment, user);
+
+    return comment.replies ? { ...masked, replies: mask(comment.replies) } : masked;
+  });
+
+  return mask(commentsWithReactions);
+};
+
+/**
+ * Encode a comment tree cursor
+ * @param {Object} comment - Last comment of a page
+ * @param {String} sort - Sort mode
+ * @returns {String} Opaque cursor string
+ */
+const encodeCursor = (comment, sort) => {
+  const cursor = sort === 'top'
+    ? { id: comment._id.toString(), score: comment.reactionTotal }
+    : { id: comment._id.toString() };
+
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * Decode a comment tree cursor
+ * @param {String} cursor - Opaque cursor string
+ * @param {String} sort - Sort mode
+ * @returns {Object|null} Decoded cursor or null if invalid
+ */
+exports.decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.isValidObjectId(decoded.id)) {
+      return null;
+    }
+
+    if (sort === 'top' && typeof decoded.score !== 'number') {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the match condition that resumes a page after a cursor
+ * @param {Object} cursor - Decoded cursor
+ * @param {String} sort - Sort mode
+ * @returns {Object} Aggregation match condition
+ */
+const cursorCondition = (cursor, sort) => {
+  const id = new mongoose.Types.ObjectId(cursor.id);
+
+  if (sort === 'oldest') {
+    return { _id: { $gt: id } };
+  }
+
+  if (sort === 'top') {
+    return {
+      $or: [
+        { reactionTotal: { $lt: cursor.score } },
+        { reactionTotal: cursor.score, _id: { $lt: id } }
+      ]
+    };
+  }
+
+  return { _id: { $lt: id } };
+};
+
+/**
+ * Fetch one page of children for each of a set of parents
+ * @param {Object} options - postId, parentIds, sort, limit, cursor, excludedUserIds
+ * @returns {Promise<Map>} Map of parent ID to { comments, hasMore }
+ */
+const fetchChildren = async ({ postId, parentIds, sort, limit, cursor, excludedUserIds }) => {
+  const match = {
+    postId,
+    parentId: { $in: parentIds },
+    visibility: 'public'
+  };
+
+  if (excludedUserIds.length > 0) {
+    match.userId = { $nin: excludedUserIds };
+  }
+
+  const pipeline = [
+    { $match: match },
+    // Total reactions across all reaction types
+    {
+      $addFields: {
+        reactionTotal: {
+          $sum: {
+            $map: {
+              input: { $objectToArray: { $ifNull: ['$reactions', {}] } },
+              in: '$$this.v'
+            }
+          }
+        }
+      }
+    }
+  ];
+
+  if (cursor) {
+    pipeline.push({ $match: cursorCondition(cursor, sort) });
+  }
+
+  pipeline.push(
+    // Number each parent's children in sort order and keep one page per parent,
+    // plus one extra to determine if there are more, before anything is grouped
+    {
+      $setWindowFields: {
+        partitionBy: '$parentId',
+        sortBy: TREE_SORTS[sort],
+        output: { rank: { $documentNumber: {} } }
+      }
+    },
+    { $match: { rank: { $lte: limit + 1 } } },
+    { $sort: TREE_SORTS[sort] },
+    { $project: { revisions: 0, rank: 0 } },
+    { $group: { _id: '$parentId', comments: { $push: '$$ROOT' } } }
+  );
+
+  const groups = await Comment.aggregate(pipeline);
+
+  const childrenByParent = new Map();
+  groups.forEach(group => {
+    const comments = group.comments;
+    const hasMore = comments.length > limit;
+
+    if (hasMore) {
+      comments.pop();
+    }
+
+    childrenByParent.set(String(group._id), { comments, hasMore });
+  });
+
+  return childrenByParent;
+};
+
+/**
+ * Count visible replies for a set of comments
+ * @param {Object} postId - Post ID
+ * @param {Array} parentIds - Parent comment IDs
+ * @param {Array} excludedUserIds - Users whose comments are hidden
+ * @returns {Promise<Set>} IDs of comments that have at least one reply
+ */
+const findCommentsWithReplies = async (postId, parentIds, excludedUserIds) => {
+  const match = {
+    postId,
+    parentId: { $in: parentIds },
+    visibility: 'public'
+  };
+
+  if (excludedUserIds.length > 0) {
+    match.userId = { $nin: excludedUserIds };
+  }
+
+  const parents = await Comment.distinct('parentId', match);
+
+  return new Set(parents.map(id => id.toString()));
+};
+
+/**
+ * Get a nested comment tree for a post
+ * Each level is fetched with a single query, so the number of queries
+ * grows with the depth rather than the number of comments.
+ * @param {String} postId - Post ID
+ * @param {Object} options - parentId, sort, depth, limit, cursor
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Object>} Tree of comments with per-branch cursors
+ */
+exports.getCommentTree = async (postId, options, user) => {
+  const { parentId = null, sort = 'newest', depth, limit, cursor = null } = options;
+
+  const postObjectId = new mongoose.Types.ObjectId(postId);
+  const rootParentId = parentId ? new mongoose.Types.ObjectId(parentId) : null;
+  const excludedUserIds = user && user.blockedUsers ? user.blockedUsers : [];
+
+  // Root level, resuming after the cursor if provided
+  const rootChildren = await fetchChildren({
+    postId: postObjectId,
+    parentIds: [rootParentId],
+    sort,
+    limit,
+    cursor,
+    excludedUserIds
+  });
+
+  const root = rootChildren.get(String(rootParentId)) || { comments: [], hasMore: false };
+
+  // Attach replies level by level
+  let level = root.comments;
+  for (let currentDepth = 1; currentDepth < depth && level.length > 0; currentDepth++) {
+    const childrenByParent = await fetchChildren({
+      postId: postObjectId,
+      parentIds: level.map(comment => comment._id),
+      sort,
+      limit,
+      cursor: null,
+      excludedUserIds
+    });
+
+    const nextLevel = [];
+    level.forEach(comment => {
+      const children = childrenByParent.get(comment._id.toString()) || { comments: [], hasMore: false };
+      const lastReply = children.comments[children.comments.length - 1];
+
+      comment.replies = children.comments;
+      comment.hasMoreReplies = children.hasMore;
+      comment.replyCursor = children.hasMore ? encodeCursor(lastReply, sort) : null;
+
+      nextLevel.push(...children.comments);
+    });
+
+    level = nextLevel;
+  }
+
+  // Comments at the depth limit only report whether a branch continues
+  if (level.length > 0) {
+    const withReplies = await findCommentsWithReplies(
+      postObjectId,
+      level.map(comment => comment._id),
+      excludedUserIds
+    );
+
+    level.forEach(comment => {
+      comment.replies = [];
+      comment.hasMoreReplies = withReplies.has(comment._id.toString());
+      comment.replyCursor = null;
+    });
+  }
+
+  const lastComment = root.comments[root.comments.length - 1];
+
+  return {
+    comments: root.comments,
+    hasMore: root.hasMore,
+    nextCursor: root.hasMore ? encodeCursor(lastComment, sort) : null
+  };
+};
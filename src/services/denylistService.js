@@ -0,0 +1,121 @@
+// src/services/denylistService.js
+const config = require('../config/config');
+const { getRedisClient } = require('../config/redis');
+
+// In-memory fallback: key -> { value, expiresAt }
+// Always written so this process keeps enforcing entries if Redis drops out.
+const memoryStore = new Map();
+
+/**
+ * Build the storage key for a denylist entry
+ * @param {String} kind - 'session' or 'user'
+ * @param {String} id - Session or user ID
+ * @returns {String} Storage key
+ */
+const buildKey = (kind, id) => `${config.denylist.keyPrefix}${kind}:${id}`;
+
+/**
+ * Read an entry from the in-memory store, dropping it if expired
+ * @param {String} key - Storage key
+ * @returns {String|null} Stored value
+ */
+const readMemory = (key) => {
+  const entry = memoryStore.get(key);
+
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+
+  return entry.value;
+};
+
+/**
+ * Remove expired entries from the in-memory store
+ */
+const purgeMemory = () => {
+  const now = Date.now();
+
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) {
+      memoryStore.delete(key);
+    }
+  }
+};
+
+/**
+ * Store a denylist entry for as long as an access token can live
+ * @param {String} key - Storage key
+ * @param {String} value - Value to store
+ */
+const store = async (key, value) => {
+  const ttlSeconds = config.denylist.ttlSeconds;
+
+  purgeMemory();
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  const client = getRedisClient();
+
+  if (client) {
+    try {
+      await client.set(key, value, { EX: ttlSeconds });
+    } catch (error) {
+      console.error('Denylist write error:', error.message);
+    }
+  }
+};
+
+/**
+ * Deny every access token of a session
+ * @param {String} sessionId - Session ID
+ */
+exports.denySession = async (sessionId) => {
+  await store(buildKey('session', sessionId), '1');
+};
+
+/**
+ * Deny every access token issued to a user up to now
+ * Tokens issued afterwards, e.g. by logging in again, are unaffected.
+ * @param {String} userId - User ID
+ */
+exports.denyUserTokens = async (userId) => {
+  await store(buildKey('user', userId), String(Math.floor(Date.now() / 1000)));
+};
+
+/**
+ * Check whether an access token has been denied
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<Boolean>} True if the token must be rejected
+ */
+exports.isTokenDenied = async (decoded) => {
+  const sessionKey = decoded.sessionId ? buildKey('session', decoded.sessionId) : null;
+  const userKey = buildKey('user', decoded.userId);
+
+  let sessionDenied = sessionKey ? readMemory(sessionKey) : null;
+  let deniedBefore = readMemory(userKey);
+
+  const client = getRedisClient();
+
+  // Other instances may have written entries this process never saw
+  if (client && !sessionDenied) {
+    try {
+      const [userValue, sessionValue] = await client.mGet(sessionKey ? [userKey, sessionKey] : [userKey]);
+
+      sessionDenied = sessionValue || null;
+      deniedBefore = Math.max(Number(deniedBefore) || 0, Number(userValue) || 0) || null;
+    } catch (error) {
+      console.error('Denylist read error:', error.message);
+    }
+  }
+
+  if (sessionDenied) {
+    return true;
+  }
+
+  // A token from the same second is caught by the session check instead
+  return !!deniedBefore && decoded.iat < Number(deniedBefore);
+};
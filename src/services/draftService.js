@@ -0,0 +1,205 @@
+// src/services/draftService.js
+const Draft = require('../models/draftModel');
+const User = require('../models/userModel');
+const postService = require('./postService');
+const pollService = require('./pollService');
+const config = require('../config/config');
+
+let publisherInterval = null;
+
+/**
+ * Validate a requested publish time
+ * @param {String|Date} publishAt - Requested publish time
+ * @returns {Object} Result with either the date or an error description
+ */
+exports.validatePublishAt = (publishAt) => {
+  const date = new Date(publishAt);
+
+  if (isNaN(date.getTime())) {
+    return {
+      valid: false,
+      details: 'publishAt must be a valid date'
+    };
+  }
+
+  const now = Date.now();
+  const maxScheduleMs = config.drafts.maxScheduleDays * 24 * 60 * 60 * 1000;
+
+  if (date.getTime() <= now) {
+    return {
+      valid: false,
+      details: 'publishAt must be in the future'
+    };
+  }
+
+  if (date.getTime() > now + maxScheduleMs) {
+    return {
+      valid: false,
+      details: `Posts can be scheduled at most ${config.drafts.maxScheduleDays} days ahead`
+    };
+  }
+
+  return { valid: true, date };
+};
+
+/**
+ * Validate poll input and normalize it for storage on a draft
+ * The closing time is derived from the duration when the draft is published.
+ * @param {Object} pollInput - Poll data from the request body
+ * @returns {Object} Result with either the draft poll or an error description
+ */
+exports.buildDraftPoll = (pollInput) => {
+  const pollResult = pollService.buildPoll(pollInput);
+
+  if (!pollResult.valid) {
+    return pollResult;
+  }
+
+  return {
+    valid: true,
+    poll: {
+      options: pollResult.poll.options.map(option => option.text),
+      multipleChoice: pollResult.poll.multipleChoice,
+      hideResults: pollResult.poll.hideResults,
+      durationHours: pollInput.durationHours !== undefined
+        ? Number(pollInput.durationHours)
+        : undefined
+    }
+  };
+};
+
+/**
+ * Publish a draft as a post
+ * The draft is claimed atomically so that a draft is never published twice.
+ * @param {String} draftId - Draft ID
+ * @param {Array} fromStatuses - Statuses the draft may be published from
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Object|null>} Published draft and post, or null if the draft could not be claimed
+ */
+exports.publishDraft = async (draftId, fromStatuses, io) => {
+  const draft = await Draft.findOneAndUpdate(
+    { _id: draftId, status: { $in: fromStatuses } },
+    { status: 'publishing', updatedAt: Date.now() },
+    { new: true }
+  ).lean();
+
+  if (!draft) {
+    return null;
+  }
+
+  try {
+    const user = await User.findById(draft.userId);
+
+    if (!user || !user.isActive) {
+      throw new Error('Author account is no longer active');
+    }
+
+    if (!draft.content || draft.content.trim() === '') {
+      throw new Error('Draft content is empty');
+    }
+
+    let poll;
+    if (draft.poll) {
+      const pollResult = pollService.buildPoll(draft.poll);
+
+      if (!pollResult.valid) {
+        throw new Error(pollResult.details);
+      }
+
+      poll = pollResult.poll;
+    }
+
+    const post = await postService.publishPost(user, {
+      content: draft.content,
+      contentWarning: draft.contentWarning,
+      poll,
+      expiresIn: draft.expiresIn,
+      audience: draft.audience,
+      isAnonymous: draft.isAnonymous
+    }, io);
+
+    const publishedDraft = await Draft.findByIdAndUpdate(
+      draft._id,
+      {
+        status: 'published',
+        publishedPostId: post._id,
+        $unset: { failureReason: 1 },
+        updatedAt: Date.now()
+      },
+      { new: true }
+    ).lean();
+
+    return { draft: publishedDraft, post };
+  } catch (error) {
+    await Draft.findByIdAndUpdate(draft._id, {
+      status: 'failed',
+      failureReason: error.message,
+      updatedAt: Date.now()
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Publish all scheduled drafts that are due
+ * @param {Object} io - Socket.io instance
+ * @returns {Promise<Number>} Number of drafts published
+ */
+exports.publishDueDrafts = async (io) => {
+  const dueDrafts = await Draft.find({
+    status: 'scheduled',
+    publishAt: { $lte: new Date() }
+  })
+    .sort({ publishAt: 1 })
+    .limit(config.drafts.publishBatchSize)
+    .select('_id')
+    .lean();
+
+  let published = 0;
+
+  for (const { _id } of dueDrafts) {
+    try {
+      const result = await this.publishDraft(_id, ['scheduled'], io);
+      if (result) published++;
+    } catch (error) {
+      console.error(`Failed to publish scheduled draft ${_id}:`, error.message);
+    }
+  }
+
+  return published;
+};
+
+/**
+ * Start the background worker that publishes scheduled posts
+ * @param {Object} io - Socket.io instance
+ */
+exports.startScheduledPublisher = (io) => {
+  if (publisherInterval) return;
+
+  let running = false;
+
+  publisherInterval = setInterval(async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+      await this.publishDueDrafts(io);
+    } catch (error) {
+      console.error('Scheduled publisher error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, config.drafts.publishIntervalSeconds * 1000);
+};
+
+/**
+ * Stop the scheduled post publisher
+ */
+exports.stopScheduledPublisher = () => {
+  if (publisherInterval) {
+    clearInterval(publisherInterval);
+    publisherInterval = null;
+  }
+};
@@ -5,6 +5,18 @@ const mailjet = require('node-mailjet').apiConnect(
 );
 const config = require('../config/config');
 
+/**
+ * Escape text for safe use in an HTML email body
+ * @param {String} text - Untrusted text, such as a user agent
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 /**
  * Send an email using Mailjet
  * @param {Object} options - Email options
@@ -181,4 +193,114 @@ exports.sendNotificationEmail = async (user, subject, message) => {
             </div>
         `
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Send account unlock email after repeated failed logins
+ * @param {Object} user - User document
+ * @param {String} unlockToken - Unlock token
+ * @param {Date} lockedUntil - When the lockout ends on its own
+ * @returns {Promise} Email send result
+ */
+exports.sendAccountUnlockEmail = async (user, unlockToken, lockedUntil) => {
+    const unlockUrl = `${config.clientUrl}/unlock-account?token=${unlockToken}`;
+    
+    return this.sendEmail({
+        to: user.email,
+        subject: 'Your Account Has Been Locked',
+        text: `
+There were too many failed login attempts on your lowercase account, so it has been locked until ${lockedUntil.toUTCString()}.
+
+If this was you, unlock your account now with the following link: ${unlockUrl}
+
+If this wasn't you, someone may be trying to guess your password. Consider changing it once you are back in.
+
+This link will expire in 1 hour.
+
+Best regards,
+The lowercase Team
+        `,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h1 style="color: #333;">Your Account Has Been Locked</h1>
+                <p>There were too many failed login attempts on your account, so it has been locked until ${lockedUntil.toUTCString()}.</p>
+                <p>If this was you, unlock your account now:</p>
+                <p>
+                    <a href="${unlockUrl}" 
+                       style="background-color: #4CAF50; 
+                              color: white; 
+                              padding: 12px 24px; 
+                              text-decoration: none; 
+                              border-radius: 4px; 
+                              display: inline-block;">
+                        Unlock Account
+                    </a>
+                </p>
+                <p style="color: #666;">This link will expire in 1 hour.</p>
+                <hr style="border: 1px solid #eee; margin: 20px 0;">
+                <p style="color: #999; font-size: 12px;">
+                    If this wasn't you, someone may be trying to guess your password. Consider changing it once you are back in.
+                </p>
+            </div>
+        `
+    });
+};
+
+/**
+ * Send security alert email about a login from a new device or location
+ * @param {Object} user - User document
+ * @param {Object} login - deviceInfo, ipAddress and time of the login
+ * @returns {Promise} Email send result
+ */
+exports.sendSuspiciousLoginEmail = async (user, login) => {
+    const { deviceInfo, ipAddress, time } = login;
+    
+    return this.sendEmail({
+        to: user.email,
+        subject: 'New Sign-In to Your Account',
+        text: `
+Your lowercase account was just signed in to from a device or network we haven't seen before.
+
+Device: ${deviceInfo}
+IP address: ${ipAddress}
+Time: ${time.toUTCString()}
+
+If this was you, you can ignore this email.
+
+If this wasn't you, change your password right away and end any sessions you don't recognise.
+
+Best regards,
+The lowercase Team
+        `,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h1 style="color: #333;">New Sign-In to Your Account</h1>
+                <p>Your account was just signed in to from a device or network we haven't seen before.</p>
+                <div style="
+                    background: #f5f5f5;
+                    padding: 20px;
+                    margin: 20px 0;
+                    border-radius: 4px;
+                ">
+                    <p style="margin: 0 0 8px; color: #333;"><strong>Device:</strong> ${escapeHtml(deviceInfo)}</p>
+                    <p style="margin: 0 0 8px; color: #333;"><strong>IP address:</strong> ${escapeHtml(ipAddress)}</p>
+                    <p style="margin: 0; color: #333;"><strong>Time:</strong> ${time.toUTCString()}</p>
+                </div>
+                <div style="
+                    background: #fff8e1;
+                    padding: 15px;
+                    margin: 20px 0;
+                    border-left: 4px solid #ffc107;
+                    border-radius: 4px;
+                ">
+                    <h3 style="margin-top: 0; color: #333;">Wasn't you?</h3>
+                    <p style="color: #666; margin-bottom: 0;">Change your password right away and end any sessions you don't recognise.</p>
+                </div>
+                <hr style="border: 1px solid #eee; margin: 20px 0;">
+                <p style="color: #999; font-size: 12px;">
+                    If this was you, you can ignore this email.
+                </p>
+            </div>
+        `
+    });
+};
@@ -0,0 +1,131 @@
+// src/services/expiryService.js
+const Post = require('../models/postModel');
+const Comment = require('../models/commentModel');
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const postService = require('./postService');
+const config = require('../config/config');
+
+let sweeperInterval = null;
+
+/**
+ * Decrement an activity counter for each user by the number of their items
+ * @param {Array} items - Documents with a userId
+ * @param {String} metric - Activity metric to decrement
+ */
+const decrementActivityMetric = async (items, metric) => {
+  const counts = new Map();
+
+  items.forEach(item => {
+    const userId = item.userId.toString();
+    counts.set(userId, (counts.get(userId) || 0) + 1);
+  });
+
+  if (counts.size === 0) return;
+
+  await User.bulkWrite([...counts].map(([userId, count]) => ({
+    updateOne: {
+      filter: { _id: userId },
+      update: { $inc: { [`activityMetrics.${metric}`]: -count } }
+    }
+  })));
+};
+
+/**
+ * Delete expired ephemeral posts along with their comments and notifications
+ * Saves are kept so they show up as tombstones.
+ * @returns {Promise<Number>} Number of posts deleted
+ */
+exports.sweepExpiredPosts = async () => {
+  const expiredPosts = await Post.find({
+    expiresAt: { $lte: new Date() },
+    visibility: { $ne: 'deleted' }
+  })
+    .limit(config.posts.expirySweepBatchSize)
+    .select('_id userId repostOf')
+    .lean();
+
+  if (expiredPosts.length === 0) {
+    return 0;
+  }
+
+  const postIds = expiredPosts.map(post => post._id);
+
+  // Soft delete the posts
+  await Post.updateMany(
+    { _id: { $in: postIds } },
+    { visibility: 'deleted' }
+  );
+
+  // Soft delete their comments
+  const comments = await Comment.find({
+    postId: { $in: postIds },
+    visibility: { $ne: 'deleted' }
+  })
+    .select('_id userId')
+    .lean();
+
+  const commentIds = comments.map(comment => comment._id);
+
+  if (commentIds.length > 0) {
+    await Comment.updateMany(
+      { _id: { $in: commentIds } },
+      { visibility: 'deleted' }
+    );
+  }
+
+  // Keep activity metrics in line with manual deletion
+  await decrementActivityMetric(expiredPosts, 'totalPosts');
+  await decrementActivityMetric(comments, 'totalComments');
+
+  // Expired reposts no longer count as shares of their originals
+  for (const post of expiredPosts.filter(post => post.repostOf)) {
+    await postService.removeShare(post.repostOf);
+  }
+
+  // Remove the posts from profiles they were pinned to
+  await postService.unpinPosts(postIds);
+
+  // Remove notifications pointing at the posts or their comments
+  await Notification.deleteMany({
+    $or: [
+      { 'contentRef.type': 'post', 'contentRef.id': { $in: postIds } },
+      { 'contentRef.type': 'comment', 'contentRef.id': { $in: commentIds } }
+    ]
+  });
+
+  return expiredPosts.length;
+};
+
+/**
+ * Start the background worker that sweeps expired posts
+ */
+exports.startExpirySweeper = () => {
+  if (sweeperInterval) return;
+
+  let running = false;
+
+  sweeperInterval = setInterval(async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+      await this.sweepExpiredPosts();
+    } catch (error) {
+      console.error('Expiry sweeper error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, config.posts.expirySweepIntervalSeconds * 1000);
+};
+
+/**
+ * Stop the expired post sweeper
+ */
+exports.stopExpirySweeper = () => {
+  if (sweeperInterval) {
+    clearInterval(sweeperInterval);
+    sweeperInterval = null;
+  }
+};
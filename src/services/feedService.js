@@ -0,0 +1,309 @@
+// src/services/feedService.js
+const mongoose = require('mongoose');
+const Post = require('../models/postModel');
+const Comment = require('../models/commentModel');
+const SavedPost = require('../models/savedPostModel');
+const FeedSnapshot = require('../models/feedSnapshotModel');
+const config = require('../config/config');
+const followService = require('./followService');
+const reactionService = require('./reactionService');
+const {
+  filterPostsForUser,
+  applyMutedConditions,
+  notExpiredCondition,
+  audienceCondition,
+  languageCondition
+} = require('../utils/postUtils');
+
+// Weight of each interaction type when building affinity
+const SIGNAL_WEIGHTS = {
+  reaction: 1,
+  comment: 2,
+  save: 3,
+  follow: 5
+};
+
+// Weight of each component in the final ranking score
+const SCORE_WEIGHTS = {
+  engagement: 1,
+  authorAffinity: 2,
+  hashtagAffinity: 1.5,
+  freshness: 1
+};
+
+/**
+ * Encode a ranked feed cursor
+ * @param {Object} cursor - Snapshot ID and offset of the next page
+ * @returns {String} Opaque cursor string
+ */
+const encodeCursor = (cursor) => {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * Decode a ranked feed cursor
+ * @param {String} cursor - Opaque cursor string
+ * @returns {Object|null} Decoded cursor or null if invalid
+ */
+exports.decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.Types.ObjectId.isValid(decoded.snapshotId) ||
+      !Number.isInteger(decoded.offset) || decoded.offset < 0) {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Add a weighted signal for each author and hashtag of a set of posts
+ * @param {Object} profile - Affinity profile being built
+ * @param {Array} posts - Posts the user interacted with
+ * @param {Number} weight - Signal weight
+ */
+const addSignals = (profile, posts, weight) => {
+  posts.forEach(post => {
+    const authorId = post.userId.toString();
+    profile.authors.set(authorId, (profile.authors.get(authorId) || 0) + weight);
+
+    (post.hashtags || []).forEach(tag => {
+      profile.hashtags.set(tag, (profile.hashtags.get(tag) || 0) + weight);
+    });
+  });
+};
+
+/**
+ * Scale affinity values to the 0-1 range
+ * @param {Map} affinities - Raw affinity values
+ * @returns {Map} Normalized affinity values
+ */
+const normalize = (affinities) => {
+  const max = Math.max(0, ...affinities.values());
+
+  if (max === 0) return affinities;
+
+  for (const [key, value] of affinities) {
+    affinities.set(key, value / max);
+  }
+
+  return affinities;
+};
+
+/**
+ * Build a user's author and hashtag affinity from past interactions
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Affinity profile with authors and hashtags maps
+ */
+exports.buildAffinityProfile = async (user) => {
+  const historyLimit = config.feed.affinityHistoryLimit;
+  const profile = { authors: new Map(), hashtags: new Map() };
+
+  // Posts the user reacted to
+  const reactedPostIds = await reactionService.getRecentlyReactedTargetIds(
+    user._id,
+    'post',
+    historyLimit
+  );
+
+  const reactedPosts = await Post.find({ _id: { $in: reactedPostIds } })
+    .select('userId hashtags')
+    .lean();
+
+  // Posts the user commented on
+  const comments = await Comment.find({ userId: user._id, visibility: 'public' })
+    .sort({ createdAt: -1 })
+    .limit(historyLimit)
+    .select('postId')
+    .lean();
+
+  const commentedPosts = await Post.find({ _id: { $in: comments.map(c => c.postId) } })
+    .select('userId hashtags')
+    .lean();
+
+  // Posts the user saved
+  const saves = await SavedPost.find({ userId: user._id })
+    .sort({ savedAt: -1 })
+    .limit(historyLimit)
+    .select('postId')
+    .lean();
+
+  const savedPosts = await Post.find({ _id: { $in: saves.map(saved => saved.postId) } })
+    .select('userId hashtags')
+    .lean();
+
+  addSignals(profile, reactedPosts, SIGNAL_WEIGHTS.reaction);
+  addSignals(profile, commentedPosts, SIGNAL_WEIGHTS.comment);
+  addSignals(profile, savedPosts, SIGNAL_WEIGHTS.save);
+
+  // Followed users get a direct author boost
+  const followingIds = await followService.getFollowingIds(user._id);
+  followingIds.forEach(id => {
+    const authorId = id.toString();
+    profile.authors.set(authorId, (profile.authors.get(authorId) || 0) + SIGNAL_WEIGHTS.follow);
+  });
+
+  normalize(profile.authors);
+  normalize(profile.hashtags);
+
+  return profile;
+};
+
+/**
+ * Score a post for a user
+ * @param {Object} post - Candidate post
+ * @param {Object} profile - User affinity profile (may be empty)
+ * @param {Number} now - Reference timestamp for decay
+ * @param {Object} reactionWeights - Map of reaction emoji to engagement weight
+ * @returns {Number} Ranking score
+ */
+exports.scorePost = (post, profile, now, reactionWeights) => {
+  const engagement = Post.calculateEngagementScore(post, now, reactionWeights);
+
+  const authorAffinity = profile.authors.get(post.userId.toString()) || 0;
+
+  // Average affinity over the post's hashtags so tag spam isn't rewarded
+  const hashtags = post.hashtags || [];
+  const hashtagAffinity = hashtags.length > 0
+    ? hashtags.reduce((sum, tag) => sum + (profile.hashtags.get(tag) || 0), 0) / hashtags.length
+    : 0;
+
+  const ageInHours = (now - new Date(post.createdAt).getTime()) / (1000 * 60 * 60);
+  const freshness = Math.exp(-ageInHours / 24);
+
+  return (
+    SCORE_WEIGHTS.engagement * Math.log1p(Math.max(engagement, 0)) +
+    SCORE_WEIGHTS.authorAffinity * authorAffinity +
+    SCORE_WEIGHTS.hashtagAffinity * hashtagAffinity +
+    SCORE_WEIGHTS.freshness * freshness
+  );
+};
+
+/**
+ * Rank the candidate posts for a user and store the order as a snapshot
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Object>} Feed snapshot
+ */
+exports.createRankedSnapshot = async (user) => {
+  const rankedAt = new Date();
+  const windowStart = new Date(
+    rankedAt.getTime() - config.feed.rankingWindowDays * 24 * 60 * 60 * 1000
+  );
+
+  // Candidate posts from the ranking window
+  let query = {
+    visibility: 'public',
+    createdAt: { $gte: windowStart, $lte: rankedAt },
+    ...notExpiredCondition(),
+    ...audienceCondition(user),
+    ...languageCondition(user)
+  };
+
+  if (user) {
+    const excludedUsers = [user._id, ...(user.blockedUsers || [])];
+    query.userId = { $nin: excludedUsers };
+  }
+
+  // Muted posts would otherwise take up candidate slots
+  applyMutedConditions(query, user);
+
+  const candidates = await Post.find(query)
+    .sort({ createdAt: -1 })
+    .limit(config.feed.rankingCandidateLimit)
+    .lean();
+
+  // Apply user-specific filtering before ranking so pages stay full
+  const eligible = user ? filterPostsForUser(candidates, user) : candidates;
+
+  const profile = user
+    ? await this.buildAffinityProfile(user)
+    : { authors: new Map(), hashtags: new Map() };
+
+  const now = rankedAt.getTime();
+  const reactionWeights = await reactionService.getReactionWeights();
+
+  // Score and sort, breaking ties by ID for a deterministic order
+  const entries = eligible
+    .map(post => ({ postId: post._id, score: this.scorePost(post, profile, now, reactionWeights) }))
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      return b.postId.toString().localeCompare(a.postId.toString());
+    });
+
+  // Older posts than the ranked ones are left to the chronological feed; if
+  // the candidate limit cut the window short, they start below the last candidate
+  const continueFromId = candidates.length >= config.feed.rankingCandidateLimit
+    ? candidates[candidates.length - 1]._id
+    : mongoose.Types.ObjectId.createFromTime(Math.floor(windowStart.getTime() / 1000));
+
+  return FeedSnapshot.create({
+    userId: user ? user._id : null,
+    entries,
+    continueFromId,
+    rankedAt,
+    expiresAt: new Date(now + config.feed.snapshotTtlMinutes * 60 * 1000)
+  });
+};
+
+/**
+ * Get a ranked "for you" feed page
+ * The first page ranks the candidates once; following pages walk the same
+ * snapshot so posts are neither skipped nor repeated when scores change.
+ * Posts removed or hidden since the ranking are left out of their page.
+ * @param {Object} user - Current user (optional)
+ * @param {Object} options - Pagination options (cursor, limit)
+ * @returns {Promise<Object|null>} Ranked posts, next cursor, hasMore flag and,
+ * once the ranked posts run out, the cursor to continue with the chronological
+ * feed; null if the cursor's snapshot has expired
+ */
+exports.getRankedFeed = async (user, options = {}) => {
+  const { cursor, limit = 15 } = options;
+
+  const decodedCursor = cursor ? this.decodeCursor(cursor) : null;
+
+  const snapshot = decodedCursor
+    ? await FeedSnapshot.findOne({
+        _id: decodedCursor.snapshotId,
+        userId: user ? user._id : null
+      }).lean()
+    : await this.createRankedSnapshot(user);
+
+  if (!snapshot) {
+    return null;
+  }
+
+  const offset = decodedCursor ? decodedCursor.offset : 0;
+  const pageEntries = snapshot.entries.slice(offset, offset + limit);
+
+  let query = {
+    _id: { $in: pageEntries.map(entry => entry.postId) },
+    visibility: 'public',
+    ...notExpiredCondition(),
+    ...audienceCondition(user)
+  };
+
+  if (user && user.blockedUsers && user.blockedUsers.length > 0) {
+    query.userId = { $nin: user.blockedUsers };
+  }
+
+  const posts = await Post.find(query).lean();
+  const visiblePosts = user ? filterPostsForUser(posts, user) : posts;
+  const postsById = new Map(visiblePosts.map(post => [post._id.toString(), post]));
+
+  const hasMore = offset + limit < snapshot.entries.length;
+
+  return {
+    posts: pageEntries
+      .filter(entry => postsById.has(entry.postId.toString()))
+      .map(entry => ({ ...postsById.get(entry.postId.toString()), rankingScore: entry.score })),
+    nextCursor: hasMore
+      ? encodeCursor({ snapshotId: snapshot._id.toString(), offset: offset + limit })
+      : null,
+    hasMore,
+    chronologicalCursor: hasMore ? null : snapshot.continueFromId
+  };
+};
@@ -0,0 +1,51 @@
+// src/services/followService.js
+const Follow = require('../models/followModel');
+
+/**
+ * Get IDs of users followed by a user
+ * @param {String} userId - Follower user ID
+ * @returns {Promise<Array>} Array of followed user IDs
+ */
+exports.getFollowingIds = async (userId) => {
+  return Follow.find({ followerId: userId }).distinct('followingId');
+};
+
+/**
+ * Check if a user follows another user
+ * @param {String} followerId - Follower user ID
+ * @param {String} followingId - Followed user ID
+ * @returns {Promise<Boolean>} True if the follow relationship exists
+ */
+exports.isFollowing = async (followerId, followingId) => {
+  const follow = await Follow.exists({ followerId, followingId });
+  return !!follow;
+};
+
+/**
+ * Get follower and following counts for a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Follower and following counts
+ */
+exports.getFollowCounts = async (userId) => {
+  const [followers, following] = await Promise.all([
+    Follow.countDocuments({ followingId: userId }),
+    Follow.countDocuments({ followerId: userId })
+  ]);
+  
+  return { followers, following };
+};
+
+/**
+ * Remove follow relationships in both directions between two users
+ * @param {String} userId - First user ID
+ * @param {String} otherUserId - Second user ID
+ * @returns {Promise<Object>} Delete result
+ */
+exports.removeMutualFollows = async (userId, otherUserId) => {
+  return Follow.deleteMany({
+    $or: [
+      { followerId: userId, followingId: otherUserId },
+      { followerId: otherUserId, followingId: userId }
+    ]
+  });
+};
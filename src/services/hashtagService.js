@@ -0,0 +1,204 @@
+// src/services/hashtagService.js
+const HashtagFollow = require('../models/hashtagFollowModel');
+const Post = require('../models/postModel');
+const User = require('../models/userModel');
+const notificationService = require('./notificationService');
+const config = require('../config/config');
+const { notExpiredCondition, audienceCondition } = require('../utils/postUtils');
+
+let spikeInterval = null;
+
+/**
+ * Get the hashtags a user follows
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Followed hashtags
+ */
+exports.getFollowedHashtags = async (userId) => {
+  return HashtagFollow.find({ userId }).distinct('hashtag');
+};
+
+/**
+ * Check if a user follows a hashtag
+ * @param {String} userId - User ID
+ * @param {String} hashtag - Normalized hashtag
+ * @returns {Promise<Boolean>} True if the user follows the hashtag
+ */
+exports.isFollowingHashtag = async (userId, hashtag) => {
+  const follow = await HashtagFollow.exists({ userId, hashtag });
+  return !!follow;
+};
+
+/**
+ * Find followed hashtags whose recent activity is well above their baseline
+ * Only hashtags with at least one spike subscriber are checked.
+ * @returns {Promise<Array>} Spikes with hashtag, postCount, latestPostId and windowStart
+ */
+exports.detectHashtagSpikes = async () => {
+  const hashtags = await HashtagFollow.distinct('hashtag', { notifySpikes: true });
+
+  if (hashtags.length === 0) {
+    return [];
+  }
+
+  const { spikeWindowMinutes, spikeBaselineHours, spikeMultiplier, spikeMinPosts } = config.hashtags;
+  const windowMs = spikeWindowMinutes * 60 * 1000;
+  const baselineMs = spikeBaselineHours * 60 * 60 * 1000;
+  const now = Date.now();
+  const windowStart = new Date(now - windowMs);
+
+  const stats = await Post.aggregate([
+    {
+      $match: {
+        hashtags: { $in: hashtags },
+        visibility: 'public',
+        createdAt: { $gte: new Date(now - baselineMs) },
+        ...notExpiredCondition(),
+        ...audienceCondition(null)
+      }
+    },
+    { $unwind: '$hashtags' },
+    { $match: { hashtags: { $in: hashtags } } },
+    {
+      $group: {
+        _id: '$hashtags',
+        recent: { $sum: { $cond: [{ $gte: ['$createdAt', windowStart] }, 1, 0] } },
+        earlier: { $sum: { $cond: [{ $lt: ['$createdAt', windowStart] }, 1, 0] } },
+        latestPostId: { $max: '$_id' }
+      }
+    },
+    { $match: { recent: { $gte: spikeMinPosts } } }
+  ]);
+
+  // Average posts per window over the rest of the baseline period
+  const baselineWindows = Math.max((baselineMs - windowMs) / windowMs, 1);
+
+  return stats
+    .filter(stat => stat.recent >= spikeMultiplier * Math.max(stat.earlier / baselineWindows, 1))
+    .map(stat => ({
+      hashtag: stat._id,
+      postCount: stat.recent,
+      latestPostId: stat.latestPostId,
+      windowStart
+    }));
+};
+
+/**
+ * Notify spike subscribers of hashtags whose activity spiked
+ * Each follower is notified at most once per cooldown period and hashtag.
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Number>} Number of notifications sent
+ */
+exports.notifyHashtagSpikes = async (io) => {
+  const spikes = await this.detectHashtagSpikes();
+  const cooldownStart = new Date(Date.now() - config.hashtags.spikeCooldownHours * 60 * 60 * 1000);
+  let sent = 0;
+
+  for (const spike of spikes) {
+    let follows = await HashtagFollow.find({
+      hashtag: spike.hashtag,
+      notifySpikes: true,
+      $or: [
+        { lastSpikeNotifiedAt: null },
+        { lastSpikeNotifiedAt: { $lt: cooldownStart } }
+      ]
+    })
+      .select('_id userId')
+      .lean();
+
+    if (follows.length === 0) continue;
+
+    const followers = await User.find({ _id: { $in: follows.map(follow => follow.userId) } })
+      .select('mutedHashtags blockedUsers')
+      .lean();
+    const followersById = new Map(followers.map(follower => [follower._id.toString(), follower]));
+
+    // Followers who muted the hashtag since following it don't want to hear about it
+    follows = follows.filter(follow => {
+      const follower = followersById.get(follow.userId.toString());
+      return !follower || !(follower.mutedHashtags || []).includes(spike.hashtag);
+    });
+
+    if (follows.length === 0) continue;
+
+    // Start the cooldown before notifying so overlapping runs don't repeat it
+    await HashtagFollow.updateMany(
+      { _id: { $in: follows.map(follow => follow._id) } },
+      { lastSpikeNotifiedAt: new Date() }
+    );
+
+    for (const follow of follows) {
+      try {
+        const follower = followersById.get(follow.userId.toString());
+        const blockedUsers = (follower && follower.blockedUsers) || [];
+        let latestPostId = spike.latestPostId;
+
+        // Link the newest spike post the follower hasn't blocked the author of
+        if (blockedUsers.length > 0) {
+          const latestPost = await Post.findOne({
+            hashtags: spike.hashtag,
+            visibility: 'public',
+            userId: { $nin: blockedUsers },
+            createdAt: { $gte: spike.windowStart },
+            ...notExpiredCondition(),
+            ...audienceCondition(null)
+          })
+            .sort({ _id: -1 })
+            .select('_id')
+            .lean();
+
+          if (!latestPost) continue;
+
+          latestPostId = latestPost._id;
+        }
+
+        const notification = await notificationService.createHashtagSpikeNotification({
+          userId: follow.userId,
+          hashtag: spike.hashtag,
+          postCount: spike.postCount,
+          latestPostId
+        }, io);
+
+        if (notification) sent++;
+      } catch (error) {
+        // A deleted follower shouldn't stop the others from being notified
+        console.error('Hashtag spike notification error:', error.message);
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Start the background worker that checks followed hashtags for spikes
+ * @param {Object} io - Socket.io instance
+ */
+exports.startSpikeNotifier = (io) => {
+  if (spikeInterval) return;
+
+  let running = false;
+
+  spikeInterval = setInterval(async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+      await this.notifyHashtagSpikes(io);
+    } catch (error) {
+      console.error('Hashtag spike notifier error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, config.hashtags.spikeCheckIntervalSeconds * 1000);
+};
+
+/**
+ * Stop the hashtag spike notifier
+ */
+exports.stopSpikeNotifier = () => {
+  if (spikeInterval) {
+    clearInterval(spikeInterval);
+    spikeInterval = null;
+  }
+};
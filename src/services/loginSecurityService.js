@@ -0,0 +1,215 @@
+// src/services/loginSecurityService.js
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const config = require('../config/config');
+
+/**
+ * Hash an unlock token for storage and lookup
+ * @param {String} token - Plain unlock token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashUnlockToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Check if an account is currently locked out
+ * @param {Object} user - User document
+ * @returns {Boolean} True if logins must be refused
+ */
+exports.isLocked = (user) => {
+  const lockedUntil = user.loginSecurity && user.loginSecurity.lockedUntil;
+
+  return !!lockedUntil && lockedUntil > new Date();
+};
+
+/**
+ * Get how long the next lockout lasts
+ * Each lockout since the last successful login doubles the duration.
+ * @param {Number} lockoutCount - Lockouts so far
+ * @returns {Number} Duration in milliseconds
+ */
+exports.getLockoutDuration = (lockoutCount) => {
+  const { lockoutBaseMinutes, lockoutMaxMinutes } = config.loginSecurity;
+  const minutes = Math.min(lockoutBaseMinutes * 2 ** lockoutCount, lockoutMaxMinutes);
+
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Record a failed login and lock the account once the threshold is reached
+ * @param {Object} user - User whose password or code was wrong
+ * @returns {Promise<Object>} { locked, lockedUntil }
+ */
+exports.recordFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': new Date() }
+    },
+    { new: true }
+  );
+
+  if (!updated || updated.loginSecurity.failedAttempts < config.loginSecurity.lockoutThreshold) {
+    return { locked: false, lockedUntil: null };
+  }
+
+  const { lockoutCount } = updated.loginSecurity;
+  const lockedUntil = new Date(Date.now() + this.getLockoutDuration(lockoutCount));
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  // Only one of several concurrent failures gets to lock and send the email
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      // Accounts that never locked before may not have the field stored
+      'loginSecurity.lockoutCount': lockoutCount || { $in: [0, null] },
+      'loginSecurity.failedAttempts': { $gte: config.loginSecurity.lockoutThreshold }
+    },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil': lockedUntil,
+        'loginSecurity.unlockToken': {
+          token: hashUnlockToken(unlockToken),
+          expiresAt: new Date(Date.now() + config.loginSecurity.unlockTokenExpiry)
+        }
+      },
+      $inc: { 'loginSecurity.lockoutCount': 1 }
+    }
+  );
+
+  if (locked) {
+    try {
+      await emailService.sendAccountUnlockEmail(updated, unlockToken, lockedUntil);
+    } catch (error) {
+      // The lockout still expires on its own
+      console.error('Account unlock email error:', error.message);
+    }
+  }
+
+  return { locked: true, lockedUntil };
+};
+
+/**
+ * Unlock an account with the token from the lockout email
+ * @param {String} token - Plain unlock token
+ * @returns {Promise<Object|null>} Unlocked user, or null if the token is invalid or expired
+ */
+exports.unlockAccount = async (token) => {
+  return User.findOneAndUpdate(
+    {
+      'loginSecurity.unlockToken.token': hashUnlockToken(token),
+      'loginSecurity.unlockToken.expiresAt': { $gt: new Date() }
+    },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0 },
+      $unset: {
+        'loginSecurity.lockedUntil': 1,
+        'loginSecurity.unlockToken': 1
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Check a login against the devices and networks the user signed in from before
+ * The current active sessions count as history as well as remembered devices.
+ * @param {Object} user - User document
+ * @param {Object} login - deviceInfo and ipAddress of the login
+ * @returns {Array} Reasons the login looks unusual: 'new_device', 'new_ip'; empty if it doesn't
+ */
+exports.detectAnomalies = (user, { deviceInfo, ipAddress }) => {
+  const history = [
+    ...(user.activeSessions || []),
+    ...((user.loginSecurity && user.loginSecurity.knownDevices) || [])
+  ];
+
+  // Nothing to compare the first login with
+  if (history.length === 0) {
+    return [];
+  }
+
+  const reasons = [];
+
+  if (!history.some(entry => entry.deviceInfo === deviceInfo)) {
+    reasons.push('new_device');
+  }
+
+  if (!history.some(entry => entry.ipAddress === ipAddress)) {
+    reasons.push('new_ip');
+  }
+
+  return reasons;
+};
+
+/**
+ * Record a successful login: clear failures and remember the device
+ * @param {Object} user - User who logged in
+ * @param {Object} login - deviceInfo and ipAddress of the login
+ * @returns {Promise<Array>} Anomaly reasons found for this login
+ */
+exports.recordSuccessfulLogin = async (user, { deviceInfo, ipAddress }) => {
+  const reasons = this.detectAnomalies(user, { deviceInfo, ipAddress });
+  const now = new Date();
+
+  await User.findByIdAndUpdate(user._id, {
+    $set: {
+      'loginSecurity.failedAttempts': 0,
+      'loginSecurity.lockoutCount': 0
+    }
+  });
+
+  const seen = await User.updateOne(
+    {
+      _id: user._id,
+      'loginSecurity.knownDevices': { $elemMatch: { deviceInfo, ipAddress } }
+    },
+    { $set: { 'loginSecurity.knownDevices.$.lastSeen': now } }
+  );
+
+  if (seen.matchedCount === 0) {
+    // Keep only the most recent devices
+    await User.findByIdAndUpdate(user._id, {
+      $push: {
+        'loginSecurity.knownDevices': {
+          $each: [{ deviceInfo, ipAddress, firstSeen: now, lastSeen: now }],
+          $slice: -config.loginSecurity.knownDeviceLimit
+        }
+      }
+    });
+  }
+
+  return reasons;
+};
+
+/**
+ * Warn a user about a login from a new device or network
+ * Sends a security email and a system notification; failures are logged only.
+ * @param {Object} user - User who logged in
+ * @param {Object} login - deviceInfo and ipAddress of the login
+ * @param {Object} io - Socket.io instance (optional)
+ */
+exports.notifySuspiciousLogin = async (user, { deviceInfo, ipAddress }, io) => {
+  const time = new Date();
+
+  try {
+    await emailService.sendSuspiciousLoginEmail(user, { deviceInfo, ipAddress, time });
+  } catch (error) {
+    console.error('Suspicious login email error:', error.message);
+  }
+
+  try {
+    await notificationService.createSystemNotification({
+      userId: user._id,
+      message: `New sign-in from ${deviceInfo} (${ipAddress}). If this wasn't you, change your password.`,
+      actionable: true,
+      actionLink: '/settings/security',
+      actionLabel: 'Review'
+    }, io);
+  } catch (error) {
+    console.error('Suspicious login notification error:', error.message);
+  }
+};
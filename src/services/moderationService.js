@@ -4,6 +4,7 @@ const Post = require('../models/postModel');
 const Comment = require('../models/commentModel');
 const User = require('../models/userModel');
 const notificationService = require('./notificationService');
+const postService = require('./postService');
 
 /**
  * Check content against prohibited keywords
@@ -85,6 +86,11 @@ exports.moderatePost = async (post, action, reason, moderator, io) => {
   // Save updated post
   await post.save();
   
+  // Removed posts can no longer be pinned
+  if (action === 'remove') {
+    await postService.unpinPosts([post._id]);
+  }
+  
   // Notify the user of moderation action
   if (action !== 'restore') {
     await notificationService.createSystemNotification({
@@ -2,14 +2,17 @@
 const Notification = require('../models/notificationModel');
 const User = require('../models/userModel');
 const { emitNotification } = require('../websocket');
+const { canViewPost } = require('../utils/postUtils');
 
 /**
  * Create a new notification
+ * Pass anonymous: true for actors writing under a pseudonym; their ID is
+ * used for mute checks but not stored.
  * @param {Object} notificationData - Notification data
  * @param {Object} io - Socket.io instance
  * @returns {Promise<Object>} Created notification
  */
-exports.createNotification = async (notificationData, io) => {
+exports.createNotification = async ({ anonymous, ...notificationData }, io) => {
   // Check if user has disabled this notification type
   const user = await User.findById(notificationData.userId);
   
@@ -17,6 +20,15 @@ exports.createNotification = async (notificationData, io) => {
     throw new Error('User not found');
   }
   
+  // Notifications caused by muted users are dropped silently
+  const isActorMuted = notificationData.actorId && (user.mutedUsers || []).some(
+    id => id.toString() === notificationData.actorId.toString()
+  );
+  
+  if (isActorMuted) {
+    return null;
+  }
+  
   // Check notification preferences
   const preferenceKey = `settings.notificationPreferences.${notificationData.type}s`;
   const notificationsEnabled = user.settings.notificationPreferences[`${notificationData.type}s`];
@@ -27,7 +39,9 @@ exports.createNotification = async (notificationData, io) => {
   }
   
   // Create the notification
-  const notification = await Notification.create(notificationData);
+  const notification = await Notification.create(
+    anonymous ? { ...notificationData, actorId: undefined } : notificationData
+  );
   
   // Emit real-time notification if socket.io instance provided
   if (io) {
@@ -84,16 +98,20 @@ exports.createCommentNotification = async (data, io) => {
     return null;
   }
   
+  // Comments on anonymous posts carry the commenter's pseudonym
+  const actorUsername = comment.isAnonymous ? comment.username : actor.username;
+  
   return this.createNotification({
     userId: post.userId,
     type: 'comment',
     actorId: actor._id,
-    actorUsername: actor.username,
+    actorUsername,
+    anonymous: comment.isAnonymous,
     contentRef: {
       type: 'post',
       id: post._id
     },
-    message: `${actor.username} commented on your post`,
+    message: `${actorUsername} commented on your post`,
     actionable: true,
     actionLink: `/posts/${post._id}?comment=${comment._id}`,
     actionLabel: 'View'
@@ -114,16 +132,19 @@ exports.createReplyNotification = async (data, io) => {
     return null;
   }
   
+  const actorUsername = reply.isAnonymous ? reply.username : actor.username;
+  
   return this.createNotification({
     userId: parentComment.userId,
     type: 'reply',
     actorId: actor._id,
-    actorUsername: actor.username,
+    actorUsername,
+    anonymous: reply.isAnonymous,
     contentRef: {
       type: 'comment',
       id: reply._id
     },
-    message: `${actor.username} replied to your comment`,
+    message: `${actorUsername} replied to your comment`,
     actionable: true,
     actionLink: `/posts/${parentComment.postId}?comment=${reply._id}`,
     actionLabel: 'View'
@@ -137,7 +158,7 @@ exports.createReplyNotification = async (data, io) => {
  * @returns {Promise<Object>} Created notification
  */
 exports.createMentionNotification = async (data, io) => {
-  const { contentType, contentId, actor, mentionedUser } = data;
+  const { contentType, contentId, actor, mentionedUser, pseudonym } = data;
   
   // Don't create notification if user mentions themselves
   if (actor._id.toString() === mentionedUser._id.toString()) {
@@ -145,23 +166,83 @@ exports.createMentionNotification = async (data, io) => {
   }
   
   const contentName = contentType === 'post' ? 'post' : 'comment';
+  const actorUsername = pseudonym || actor.username;
   
   return this.createNotification({
     userId: mentionedUser._id,
     type: 'mention',
     actorId: actor._id,
-    actorUsername: actor.username,
+    actorUsername,
+    anonymous: !!pseudonym,
     contentRef: {
       type: contentType,
       id: contentId
     },
-    message: `${actor.username} mentioned you in a ${contentName}`,
+    message: `${actorUsername} mentioned you in a ${contentName}`,
     actionable: true,
     actionLink: `/${contentType}s/${contentId}`,
     actionLabel: 'View'
   }, io);
 };
 
+/**
+ * Create repost notification
+ * @param {Object} data - Repost data
+ * @param {Object} io - Socket.io instance
+ * @returns {Promise<Object>} Created notification
+ */
+exports.createRepostNotification = async (data, io) => {
+  const { repostId, repostType, originalPostId, actor, contentOwner } = data;
+
+  // Don't create notification if user reposts their own post
+  if (actor._id.toString() === contentOwner._id.toString()) {
+    return null;
+  }
+
+  // Quote posts link to the quote; plain reposts link to the original
+  const postId = repostType === 'quote' ? repostId : originalPostId;
+
+  return this.createNotification({
+    userId: contentOwner._id,
+    type: 'repost',
+    actorId: actor._id,
+    actorUsername: actor.username,
+    contentRef: {
+      type: 'post',
+      id: postId
+    },
+    message: repostType === 'quote'
+      ? `${actor.username} quoted your post`
+      : `${actor.username} reposted your post`,
+    actionable: true,
+    actionLink: `/posts/${postId}`,
+    actionLabel: 'View'
+  }, io);
+};
+
+/**
+ * Create hashtag activity spike notification
+ * @param {Object} data - Spike data
+ * @param {Object} io - Socket.io instance
+ * @returns {Promise<Object>} Created notification
+ */
+exports.createHashtagSpikeNotification = async (data, io) => {
+  const { userId, hashtag, postCount, latestPostId } = data;
+
+  return this.createNotification({
+    userId,
+    type: 'hashtag',
+    contentRef: {
+      type: 'post',
+      id: latestPostId
+    },
+    message: `#${hashtag} is trending with ${postCount} new posts`,
+    actionable: true,
+    actionLink: `/hashtag/${hashtag}`,
+    actionLabel: 'View'
+  }, io);
+};
+
 /**
  * Create system notification
  * @param {Object} data - System notification data
@@ -186,34 +267,47 @@ exports.createSystemNotification = async (data, io) => {
 };
 
 /**
- * Process mentions in content
+ * Extract mentioned usernames from content
  * @param {String} content - Post or comment content
- * @param {Object} contentInfo - Content information
- * @param {Object} actor - User who created the content
- * @param {Object} io - Socket.io instance
- * @returns {Promise<Array>} Array of created notifications
+ * @returns {Array} Array of unique lowercase usernames
  */
-exports.processMentions = async (content, contentInfo, actor, io) => {
+exports.extractMentions = (content) => {
   // Extract usernames from mentions (@username)
   const mentionRegex = /@(\w+)/g;
   const mentions = [];
   let match;
   
-  while ((match = mentionRegex.exec(content)) !== null) {
+  while ((match = mentionRegex.exec(content || '')) !== null) {
     mentions.push(match[1].toLowerCase());
   }
   
-  if (mentions.length === 0) {
+  // Get unique mentions
+  return [...new Set(mentions)];
+};
+
+/**
+ * Process mentions in content
+ * @param {String} content - Post or comment content
+ * @param {Object} contentInfo - Content type and ID, plus the post it belongs to; users who can't see that post are not notified.
+ *   Anonymous content also passes the pseudonym it was written under.
+ * @param {Object} actor - User who created the content
+ * @param {Object} io - Socket.io instance
+ * @param {String} previousContent - Content before an edit; users already mentioned there are not notified again
+ * @returns {Promise<Array>} Array of created notifications
+ */
+exports.processMentions = async (content, contentInfo, actor, io, previousContent = null) => {
+  const previousMentions = previousContent ? this.extractMentions(previousContent) : [];
+  const uniqueMentions = this.extractMentions(content)
+    .filter(username => !previousMentions.includes(username));
+  
+  if (uniqueMentions.length === 0) {
     return [];
   }
   
-  // Get unique mentions
-  const uniqueMentions = [...new Set(mentions)];
-  
   // Find mentioned users
-  const mentionedUsers = await User.find({ 
+  const mentionedUsers = (await User.find({ 
     username: { $in: uniqueMentions } 
-  });
+  })).filter(user => !contentInfo.post || canViewPost(contentInfo.post, user));
   
   // Create notifications for each mentioned user
   const notifications = [];
@@ -223,7 +317,8 @@ exports.processMentions = async (content, contentInfo, actor, io) => {
       contentType: contentInfo.type,
       contentId: contentInfo.id,
       actor,
-      mentionedUser: user
+      mentionedUser: user,
+      pseudonym: contentInfo.pseudonym
     }, io);
     
     if (notification) {
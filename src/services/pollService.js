@@ -0,0 +1,161 @@
+// src/services/pollService.js
+const PollVote = require('../models/pollVoteModel');
+const config = require('../config/config');
+
+/**
+ * Validate poll input and build the poll subdocument for a new post
+ * @param {Object} pollInput - Poll data from the request body
+ * @returns {Object} Result with either the poll or an error description
+ */
+exports.buildPoll = (pollInput) => {
+  const { options, multipleChoice = false, hideResults = false, durationHours } = pollInput || {};
+  const { minOptions, maxOptions, defaultDurationHours, maxDurationHours } = config.polls;
+
+  if (!Array.isArray(options) || options.length < minOptions || options.length > maxOptions) {
+    return {
+      valid: false,
+      details: `A poll must have between ${minOptions} and ${maxOptions} options`
+    };
+  }
+
+  const optionTexts = options.map(option =>
+    typeof option === 'string' ? option.trim() : ''
+  );
+
+  if (optionTexts.some(text => text === '' || text.length > 80)) {
+    return {
+      valid: false,
+      details: 'Poll options must be between 1 and 80 characters'
+    };
+  }
+
+  const uniqueTexts = new Set(optionTexts.map(text => text.toLowerCase()));
+  if (uniqueTexts.size !== optionTexts.length) {
+    return {
+      valid: false,
+      details: 'Poll options must be unique'
+    };
+  }
+
+  const duration = durationHours !== undefined ? Number(durationHours) : defaultDurationHours;
+  if (!Number.isFinite(duration) || duration <= 0 || duration > maxDurationHours) {
+    return {
+      valid: false,
+      details: `Poll duration must be more than 0 and at most ${maxDurationHours} hours`
+    };
+  }
+
+  return {
+    valid: true,
+    poll: {
+      options: optionTexts.map(text => ({ text, voteCount: 0 })),
+      multipleChoice: !!multipleChoice,
+      hideResults: !!hideResults,
+      closesAt: new Date(Date.now() + duration * 60 * 60 * 1000),
+      totalVoters: 0
+    }
+  };
+};
+
+/**
+ * Check if a poll has closed
+ * @param {Object} poll - Poll subdocument
+ * @returns {Boolean} True if the poll no longer accepts votes
+ */
+exports.isClosed = (poll) => {
+  return new Date(poll.closesAt) <= new Date();
+};
+
+/**
+ * Get a user's votes for a set of posts
+ * @param {Array} postIds - Post IDs
+ * @param {String} userId - Voter user ID
+ * @returns {Promise<Map>} Map of post ID to voted option IDs
+ */
+exports.getViewerVotes = async (postIds, userId) => {
+  const votes = await PollVote.find({
+    postId: { $in: postIds },
+    userId
+  }).lean();
+
+  return new Map(votes.map(vote => [
+    vote.postId.toString(),
+    vote.optionIds.map(id => id.toString())
+  ]));
+};
+
+/**
+ * Shape a poll for a viewer, hiding tallies when the author asked for it
+ * @param {Object} poll - Poll subdocument
+ * @param {Array|null} viewerOptionIds - Options the viewer voted for, if any
+ * @returns {Object} Poll as presented to the viewer
+ */
+exports.presentPoll = (poll, viewerOptionIds = null) => {
+  const isClosed = this.isClosed(poll);
+  const hasVoted = Array.isArray(viewerOptionIds);
+  const resultsHidden = poll.hideResults && !isClosed && !hasVoted;
+
+  return {
+    options: poll.options.map(option => ({
+      _id: option._id,
+      text: option.text,
+      voteCount: resultsHidden ? null : option.voteCount
+    })),
+    multipleChoice: poll.multipleChoice,
+    hideResults: poll.hideResults,
+    closesAt: poll.closesAt,
+    isClosed,
+    totalVoters: poll.totalVoters,
+    resultsHidden,
+    hasVoted,
+    viewerOptionIds: hasVoted ? viewerOptionIds : []
+  };
+};
+
+/**
+ * Attach viewer-specific poll state to a list of posts
+ * @param {Array} posts - Lean posts
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Array>} Posts with presented polls
+ */
+exports.attachPollState = async (posts, user) => {
+  const pollPosts = posts.filter(post => post.poll);
+
+  if (pollPosts.length === 0) {
+    return posts;
+  }
+
+  const viewerVotes = user
+    ? await this.getViewerVotes(pollPosts.map(post => post._id), user._id)
+    : new Map();
+
+  return posts.map(post => {
+    if (!post.poll) return post;
+
+    return {
+      ...post,
+      poll: this.presentPoll(post.poll, viewerVotes.get(post._id.toString()) || null)
+    };
+  });
+};
+
+/**
+ * Build the tally broadcast to poll subscribers
+ * Subscribers may not have voted, so hidden polls only expose the voter count.
+ * @param {Object} poll - Poll subdocument
+ * @returns {Object} Tally payload
+ */
+exports.buildTallyUpdate = (poll) => {
+  const resultsHidden = poll.hideResults && !this.isClosed(poll);
+
+  return {
+    totalVoters: poll.totalVoters,
+    resultsHidden,
+    options: resultsHidden
+      ? []
+      : poll.options.map(option => ({
+          _id: option._id,
+          voteCount: option.voteCount
+        }))
+  };
+};
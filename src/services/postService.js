@@ -0,0 +1,344 @@
+// src/services/postService.js
+const mongoose = require('mongoose');
+const Post = require('../models/postModel');
+const User = require('../models/userModel');
+const notificationService = require('./notificationService');
+const moderationService = require('./moderationService');
+const pollService = require('./pollService');
+const reactionService = require('./reactionService');
+const anonymityService = require('./anonymityService');
+const config = require('../config/config');
+const {
+  extractHashtags,
+  detectLanguage,
+  filterPostsForUser,
+  isPostExpired,
+  canViewPost,
+  notExpiredCondition,
+  audienceCondition
+} = require('../utils/postUtils');
+
+exports.AUDIENCES = ['public', 'mentioned', 'only_me'];
+
+/**
+ * Check if an expiry option is supported
+ * @param {String} expiresIn - Expiry option (e.g. 1h, 24h, 7d)
+ * @returns {Boolean} True if the option is supported
+ */
+exports.isValidExpiryOption = (expiresIn) => {
+  return Object.prototype.hasOwnProperty.call(config.posts.expiryOptions, expiresIn);
+};
+
+/**
+ * Resolve the audience of a new post
+ * Falls back to the author's default visibility setting.
+ * @param {Object} user - Author user document
+ * @param {String} audience - Requested audience (optional)
+ * @returns {String} Audience for the post
+ */
+exports.resolveAudience = (user, audience) => {
+  if (audience) {
+    return audience;
+  }
+
+  const defaultVisibility = (user.contentSettings && user.contentSettings.defaultVisibility) || 'public';
+
+  return defaultVisibility === 'limited' ? 'mentioned' : defaultVisibility;
+};
+
+/**
+ * Publish a post for a user
+ * Shared by direct post creation and the scheduled publisher.
+ * @param {Object} user - Author user document
+ * @param {Object} postData - Post content, content warning, built poll, expiry option, audience, anonymous flag,
+ *   repost reference and optionally a language to use instead of detecting one
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Object>} Created post
+ */
+exports.publishPost = async (user, postData, io) => {
+  const { content, contentWarning, poll, expiresIn, audience, isAnonymous, repostOf, repostType } = postData;
+
+  // Extract hashtags and mentions
+  const hashtags = extractHashtags(content);
+  const mentions = notificationService.extractMentions(content);
+
+  // Detect language
+  const language = postData.language || detectLanguage(content);
+
+  // Ephemeral posts expire relative to when they are published
+  const expiresAt = expiresIn
+    ? new Date(Date.now() + config.posts.expiryOptions[expiresIn])
+    : undefined;
+
+  // Check for auto-moderation if enabled in user settings
+  let visibility = 'public';
+  let isModerated = false;
+  let moderationReason = null;
+
+  if (user.contentSettings.autoModeration) {
+    const moderationResult = moderationService.autoModerateContent(content, user);
+
+    if (moderationResult.shouldModerate) {
+      visibility = 'moderated';
+      isModerated = true;
+      moderationReason = moderationResult.moderationReason;
+    }
+  }
+
+  // Anonymous posts need their ID up front to derive the pseudonym
+  const postId = new mongoose.Types.ObjectId();
+
+  // Create the post
+  const post = await Post.create({
+    _id: postId,
+    userId: user._id,
+    username: isAnonymous ? anonymityService.getPseudonym(postId, user._id) : user.username,
+    isAnonymous: !!isAnonymous,
+    content,
+    contentWarning,
+    hashtags,
+    mentions,
+    language,
+    poll,
+    expiresAt,
+    audience: this.resolveAudience(user, audience),
+    repostOf,
+    repostType,
+    visibility,
+    isModerated,
+    moderationReason
+  });
+
+  // Update user's post count
+  await User.findByIdAndUpdate(user._id, {
+    $inc: { 'activityMetrics.totalPosts': 1 }
+  });
+
+  // Process mentions in content
+  await notificationService.processMentions(content, {
+    type: 'post',
+    id: post._id,
+    post,
+    pseudonym: post.isAnonymous ? post.username : undefined
+  }, user, io);
+
+  return post;
+};
+
+/**
+ * Adjust a post's share count and refresh its engagement score
+ * @param {String} postId - Shared post ID
+ * @param {Number} delta - Change in share count
+ * @returns {Promise<Object|null>} Updated post
+ */
+const updateShareCount = async (postId, delta) => {
+  const updatedPost = await Post.findByIdAndUpdate(
+    postId,
+    { $inc: { shareCount: delta } },
+    { new: true, projection: 'reactions commentCount shareCount impressionCount createdAt' }
+  );
+
+  if (!updatedPost) return null;
+
+  // Update engagement score
+  updatedPost.updateEngagementScore(await reactionService.getReactionWeights());
+  await updatedPost.save();
+
+  return updatedPost;
+};
+
+/**
+ * Record a repost or quote of a post
+ * @param {String} postId - Shared post ID
+ * @returns {Promise<Object|null>} Updated post
+ */
+exports.recordShare = async (postId) => {
+  return updateShareCount(postId, 1);
+};
+
+/**
+ * Remove a repost or quote of a post
+ * @param {String} postId - Shared post ID
+ * @returns {Promise<Object|null>} Updated post
+ */
+exports.removeShare = async (postId) => {
+  return updateShareCount(postId, -1);
+};
+
+/**
+ * Remove posts from every user's pinned posts
+ * Used when posts are deleted or moderated.
+ * @param {Array} postIds - Post IDs
+ */
+exports.unpinPosts = async (postIds) => {
+  await User.updateMany(
+    { pinnedPosts: { $in: postIds } },
+    { $pull: { pinnedPosts: { $in: postIds } } }
+  );
+};
+
+/**
+ * Get a user's pinned posts as seen by a viewer
+ * @param {Object} profileUser - User whose pinned posts to get
+ * @param {Object} viewer - Current user (optional)
+ * @returns {Promise<Array>} Pinned posts in pin order
+ */
+exports.getPinnedPosts = async (profileUser, viewer) => {
+  if (!profileUser.pinnedPosts || profileUser.pinnedPosts.length === 0) {
+    return [];
+  }
+
+  const posts = await Post.find({
+    _id: { $in: profileUser.pinnedPosts },
+    visibility: 'public',
+    ...notExpiredCondition(),
+    ...audienceCondition(viewer)
+  }).lean();
+
+  // Keep the order in which the posts were pinned
+  const orderedPosts = profileUser.pinnedPosts
+    .map(id => posts.find(post => post._id.toString() === id.toString()))
+    .filter(Boolean);
+
+  // Mutes don't apply to profile visits
+  const filteredPosts = viewer
+    ? filterPostsForUser(orderedPosts, viewer, { applyMutes: false })
+    : orderedPosts;
+  const preparedPosts = await this.preparePostsForViewer(filteredPosts, viewer);
+
+  return preparedPosts.map(post => ({ ...post, isPinned: true }));
+};
+
+/**
+ * Embed the original post into reposts and quote posts
+ * Originals that were deleted, moderated, expired, written by a blocked
+ * user or outside the viewer's audience are replaced with a placeholder;
+ * plain reposts of them are dropped since they have nothing else to show.
+ * @param {Array} posts - Lean posts
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Array>} Posts with embedded originals
+ */
+exports.attachOriginalPosts = async (posts, user) => {
+  const originalIds = posts
+    .filter(post => post.repostOf)
+    .map(post => post.repostOf);
+
+  if (originalIds.length === 0) {
+    return posts;
+  }
+
+  const originals = await Post.find({ _id: { $in: originalIds } }).lean();
+  const presentedOriginals = await pollService.attachPollState(originals, user);
+  const originalsById = new Map(
+    presentedOriginals.map(original => [original._id.toString(), original])
+  );
+
+  const blockedUsers = new Set(
+    ((user && user.blockedUsers) || []).map(id => id.toString())
+  );
+  const mutedUsers = new Set(
+    ((user && user.mutedUsers) || []).map(id => id.toString())
+  );
+
+  return posts.reduce((result, post) => {
+    if (!post.repostOf) {
+      result.push(post);
+      return result;
+    }
+
+    const original = originalsById.get(post.repostOf.toString());
+
+    let unavailableReason = null;
+    if (!original || original.visibility !== 'public' || isPostExpired(original)) {
+      unavailableReason = 'deleted';
+    } else if (blockedUsers.has(original.userId.toString())) {
+      unavailableReason = 'blocked';
+    } else if (!canViewPost(original, user)) {
+      unavailableReason = 'restricted';
+    }
+
+    if (unavailableReason && post.repostType === 'repost') {
+      return result;
+    }
+
+    // A plain repost of a muted user only shows that user's content
+    if (post.repostType === 'repost' && mutedUsers.has(original.userId.toString())) {
+      return result;
+    }
+
+    result.push({
+      ...post,
+      originalPost: unavailableReason
+        ? { _id: post.repostOf, unavailable: true, reason: unavailableReason }
+        : original
+    });
+
+    return result;
+  }, []);
+};
+
+/**
+ * Add the viewer's own reaction types to posts and their embedded originals
+ * @param {Array} posts - Lean posts
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Array>} Posts with viewerReactions
+ */
+exports.attachViewerReactions = async (posts, user) => {
+  const postIds = [];
+  posts.forEach(post => {
+    postIds.push(post._id);
+
+    if (post.originalPost && !post.originalPost.unavailable) {
+      postIds.push(post.originalPost._id);
+    }
+  });
+
+  const viewerReactions = await reactionService.getViewerReactions(user, 'post', postIds);
+  const withViewerReactions = post => ({
+    ...post,
+    viewerReactions: viewerReactions.get(post._id.toString()) || []
+  });
+
+  return posts.map(post => {
+    const prepared = withViewerReactions(post);
+
+    if (post.originalPost && !post.originalPost.unavailable) {
+      prepared.originalPost = withViewerReactions(post.originalPost);
+    }
+
+    return prepared;
+  });
+};
+
+/**
+ * Hide the real authors of anonymous posts and embedded originals
+ * @param {Array} posts - Lean posts
+ * @param {Object} user - Current user (optional)
+ * @returns {Array} Posts with anonymous authors masked
+ */
+exports.maskAnonymousAuthors = (posts, user) => {
+  return posts.map(post => {
+    const masked = anonymityService.maskAuthor(post, user);
+
+    if (post.originalPost) {
+      return { ...masked, originalPost: anonymityService.maskAuthor(post.originalPost, user) };
+    }
+
+    return masked;
+  });
+};
+
+/**
+ * Prepare posts for a viewer: embed repost originals, present polls,
+ * add the viewer's reactions and mask anonymous authors
+ * @param {Array} posts - Lean posts
+ * @param {Object} user - Current user (optional)
+ * @returns {Promise<Array>} Posts ready to be sent to the viewer
+ */
+exports.preparePostsForViewer = async (posts, user) => {
+  const postsWithOriginals = await this.attachOriginalPosts(posts, user);
+  const postsWithPolls = await pollService.attachPollState(postsWithOriginals, user);
+  const postsWithReactions = await this.attachViewerReactions(postsWithPolls, user);
+
+  return this.maskAnonymousAuthors(postsWithReactions, user);
+};
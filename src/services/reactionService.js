@@ -0,0 +1,251 @@
+// src/services/reactionService.js
+const Reaction = require('../models/reactionModel');
+const ReactionType = require('../models/reactionTypeModel');
+const User = require('../models/userModel');
+const config = require('../config/config');
+
+// Per-process copy of the reaction catalogue
+let catalogueCache = null;
+let catalogueLoadedAt = 0;
+
+/**
+ * Get the reaction catalogue, seeding the default types if none exist
+ * @returns {Promise<Array>} Reaction types in display order
+ */
+exports.getCatalogue = async () => {
+  const maxAge = config.reactions.catalogueCacheSeconds * 1000;
+
+  if (catalogueCache && Date.now() - catalogueLoadedAt < maxAge) {
+    return catalogueCache;
+  }
+
+  let types = await ReactionType.find().sort({ displayOrder: 1, createdAt: 1 }).lean();
+
+  if (types.length === 0) {
+    try {
+      await ReactionType.insertMany(config.reactions.defaultTypes, { ordered: false });
+    } catch (error) {
+      // Another process seeded the catalogue at the same time
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    types = await ReactionType.find().sort({ displayOrder: 1, createdAt: 1 }).lean();
+  }
+
+  catalogueCache = types;
+  catalogueLoadedAt = Date.now();
+
+  return types;
+};
+
+/**
+ * Drop the cached catalogue so the next read reloads it
+ * Called after admins change the catalogue.
+ */
+exports.clearCatalogueCache = () => {
+  catalogueCache = null;
+  catalogueLoadedAt = 0;
+};
+
+/**
+ * Get the emoji of all enabled reaction types
+ * @returns {Promise<Array>} Enabled reaction emoji in display order
+ */
+exports.getEnabledReactionTypes = async () => {
+  const types = await this.getCatalogue();
+
+  return types.filter(type => type.isEnabled).map(type => type.emoji);
+};
+
+/**
+ * Check if a reaction type is in the catalogue, enabled or not
+ * Reactions of disabled types can still be removed.
+ * @param {String} type - Reaction emoji
+ * @returns {Promise<Boolean>} True if the type is in the catalogue
+ */
+exports.isKnownReactionType = async (type) => {
+  const types = await this.getCatalogue();
+
+  return types.some(reactionType => reactionType.emoji === type);
+};
+
+/**
+ * Get the engagement weight of each reaction type
+ * @returns {Promise<Object>} Map of reaction emoji to weight
+ */
+exports.getReactionWeights = async () => {
+  const types = await this.getCatalogue();
+
+  return types.reduce((weights, type) => {
+    weights[type.emoji] = type.weight;
+    return weights;
+  }, {});
+};
+
+/**
+ * Check if any reactions of a type have been recorded
+ * @param {String} type - Reaction emoji
+ * @returns {Promise<Boolean>} True if the type is in use
+ */
+exports.isReactionTypeInUse = async (type) => {
+  const reaction = await Reaction.exists({ type });
+
+  return Boolean(reaction);
+};
+
+/**
+ * Record a user's reaction to a post or comment
+ * @param {Object} data - userId, targetType, targetId and reaction type
+ * @returns {Promise<Object|null>} Created reaction, or null if it already exists
+ */
+exports.addReaction = async ({ userId, targetType, targetId, type }) => {
+  try {
+    return await Reaction.create({ userId, targetType, targetId, type });
+  } catch (error) {
+    // Unique index violation means the user already reacted with this type
+    if (error.code === 11000) {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Remove a user's reaction from a post or comment
+ * @param {Object} data - userId, targetType, targetId and reaction type
+ * @returns {Promise<Object|null>} Removed reaction, or null if there was none
+ */
+exports.removeReaction = async ({ userId, targetType, targetId, type }) => {
+  return Reaction.findOneAndDelete({ userId, targetType, targetId, type });
+};
+
+/**
+ * Get the IDs of targets a user recently reacted to
+ * @param {String} userId - User ID
+ * @param {String} targetType - 'post' or 'comment'
+ * @param {Number} limit - Maximum number of reactions to consider
+ * @returns {Promise<Array>} Target IDs, most recent first
+ */
+exports.getRecentlyReactedTargetIds = async (userId, targetType, limit) => {
+  const reactions = await Reaction.find({ userId, targetType })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('targetId')
+    .lean();
+
+  return reactions.map(reaction => reaction.targetId);
+};
+
+/**
+ * Get the reaction types a viewer used on each of a set of targets
+ * @param {Object} user - Current user (optional)
+ * @param {String} targetType - 'post' or 'comment'
+ * @param {Array} targetIds - Target IDs
+ * @returns {Promise<Map>} Map of target ID to the viewer's reaction types
+ */
+exports.getViewerReactions = async (user, targetType, targetIds) => {
+  const viewerReactions = new Map();
+
+  if (!user || targetIds.length === 0) {
+    return viewerReactions;
+  }
+
+  const reactions = await Reaction.find({
+    userId: user._id,
+    targetType,
+    targetId: { $in: targetIds }
+  })
+    .select('targetId type')
+    .lean();
+
+  reactions.forEach(reaction => {
+    const targetId = reaction.targetId.toString();
+
+    if (!viewerReactions.has(targetId)) {
+      viewerReactions.set(targetId, []);
+    }
+
+    viewerReactions.get(targetId).push(reaction.type);
+  });
+
+  return viewerReactions;
+};
+
+/**
+ * List users who reacted to a post or comment, newest first
+ * Users the viewer blocked or who blocked the viewer are left out.
+ * @param {String} targetType - 'post' or 'comment'
+ * @param {String} targetId - Target ID
+ * @param {Object} options - type, cursor and limit
+ * @param {Object} viewer - Current user (optional)
+ * @returns {Promise<Object>} Reactions with their users, hasMore and nextCursor
+ */
+exports.getReactors = async (targetType, targetId, options, viewer) => {
+  const { type, cursor, limit } = options;
+
+  const query = { targetType, targetId };
+
+  if (type) {
+    query.type = type;
+  }
+
+  if (cursor) {
+    query._id = { $lt: cursor };
+  }
+
+  if (viewer) {
+    const blockedBy = await User.find({ blockedUsers: viewer._id }).distinct('_id');
+    const excludedUsers = [...(viewer.blockedUsers || []), ...blockedBy];
+
+    if (excludedUsers.length > 0) {
+      query.userId = { $nin: excludedUsers };
+    }
+  }
+
+  const reactions = await Reaction.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1) // Get one extra to determine if there are more
+    .populate('userId', 'username avatarUrl')
+    .lean();
+
+  const hasMore = reactions.length > limit;
+
+  if (hasMore) {
+    reactions.pop();
+  }
+
+  const nextCursor = hasMore ? reactions[reactions.length - 1]._id : null;
+
+  return {
+    // Reactions of deleted accounts have no user left to show
+    reactions: reactions
+      .filter(reaction => reaction.userId)
+      .map(reaction => ({
+        _id: reaction._id,
+        type: reaction.type,
+        user: reaction.userId,
+        reactedAt: reaction.createdAt
+      })),
+    hasMore,
+    nextCursor
+  };
+};
+
+/**
+ * Summarize a target's reaction counters in catalogue order
+ * @param {Object} reactions - Reaction counters keyed by emoji
+ * @returns {Promise<Array>} Type, label and count for each reaction type in use
+ */
+exports.summarizeReactions = async (reactions) => {
+  const counters = reactions instanceof Map
+    ? Object.fromEntries(reactions)
+    : (reactions || {});
+  const types = await this.getCatalogue();
+
+  return types
+    .map(type => ({ type: type.emoji, label: type.label, count: counters[type.emoji] || 0 }))
+    .filter(summary => summary.count > 0);
+};
@@ -1,6 +1,12 @@
 // src/services/searchService.js
 const Post = require('../models/postModel');
 const User = require('../models/userModel');
+const {
+  notExpiredCondition,
+  notMutedConditions,
+  audienceCondition,
+  languageCondition
+} = require('../utils/postUtils');
 
 /**
  * Search posts
@@ -19,9 +25,15 @@ exports.searchPosts = async (query, options = {}, user = null) => {
     } = options;
     
     // Build search query
-    let searchQuery = { $text: { $search: query }, visibility: 'public' };
+    let searchQuery = { 
+      $text: { $search: query }, 
+      visibility: 'public',
+      ...notExpiredCondition(),
+      ...audienceCondition(user),
+      ...languageCondition(user)
+    };
     
-    // Add language filter if specified
+    // Add language filter if specified; it overrides the user's preferences
     if (language) {
       searchQuery.language = language;
     }
@@ -31,6 +43,16 @@ exports.searchPosts = async (query, options = {}, user = null) => {
       searchQuery.userId = { $nin: user.blockedUsers };
     }
     
+    // Leave out muted authors and hashtags
+    const mutedConditions = notMutedConditions(user);
+    if (mutedConditions.userId) {
+      const excludedUsers = searchQuery.userId ? searchQuery.userId.$nin : [];
+      searchQuery.userId = { $nin: [...excludedUsers, ...mutedConditions.userId.$nin] };
+    }
+    if (mutedConditions.hashtags) {
+      searchQuery.hashtags = mutedConditions.hashtags;
+    }
+    
     // Define sort options
     let sortOptions = {};
     if (sortBy === 'recent') {
@@ -127,7 +149,7 @@ exports.searchHashtags = async (query, options = {}) => {
     
     // MongoDB aggregation to find matching hashtags and their counts
     const hashtags = await Post.aggregate([
-      { $match: { visibility: 'public' } },
+      { $match: { visibility: 'public', ...notExpiredCondition(), ...audienceCondition(null) } },
       { $unwind: '$hashtags' },
       { $match: { hashtags: new RegExp(query, 'i') } },
       { $group: { _id: '$hashtags', count: { $sum: 1 } } },
@@ -172,7 +194,9 @@ exports.getTrendingHashtags = async (options = {}) => {
       { 
         $match: { 
           visibility: 'public',
-          createdAt: { $gte: startTime }
+          createdAt: { $gte: startTime },
+          ...notExpiredCondition(),
+          ...audienceCondition(null)
         } 
       },
       { $unwind: '$hashtags' },
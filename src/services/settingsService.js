@@ -0,0 +1,35 @@
+// src/services/settingsService.js
+const SystemSetting = require('../models/systemSettingModel');
+
+// Settings admins can change, with their defaults
+const DEFAULT_SETTINGS = {
+  requireAdminTwoFactor: false
+};
+
+exports.SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+/**
+ * Get the platform-wide settings
+ * @returns {Promise<Object>} Settings, with defaults for anything never set
+ */
+exports.getSystemSettings = async () => {
+  const settings = await SystemSetting.findOne({ key: 'system' }).lean();
+
+  return { ...DEFAULT_SETTINGS, ...settings };
+};
+
+/**
+ * Update platform-wide settings
+ * @param {Object} changes - Validated setting values
+ * @param {String} adminId - Admin making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+exports.updateSystemSettings = async (changes, adminId) => {
+  const settings = await SystemSetting.findOneAndUpdate(
+    { key: 'system' },
+    { ...changes, updatedBy: adminId, updatedAt: new Date() },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  return { ...DEFAULT_SETTINGS, ...settings };
+};
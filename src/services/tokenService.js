@@ -0,0 +1,204 @@
+// src/services/tokenService.js
+const Token = require('../models/tokenModel');
+const User = require('../models/userModel');
+const notificationService = require('./notificationService');
+const denylistService = require('./denylistService');
+const { generateTokens, verifyToken } = require('../utils/authUtils');
+const { disconnectSession, disconnectUserSessions } = require('../websocket');
+
+/**
+ * End a session: revoke its token family, drop it from the user's active
+ * sessions and disconnect its sockets
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID, which is the token family ID
+ * @param {String} reason - Revocation reason
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+exports.endSession = async (userId, sessionId, reason, io) => {
+  const result = await Token.updateMany(
+    { userId, familyId: sessionId, isRevoked: false },
+    { isRevoked: true, revokedReason: reason }
+  );
+
+  await User.findByIdAndUpdate(userId, {
+    $pull: { activeSessions: { sessionId } }
+  });
+
+  // Reject the session's outstanding access tokens right away
+  await denylistService.denySession(sessionId);
+
+  disconnectSession(io, sessionId);
+
+  return result.modifiedCount;
+};
+
+/**
+ * End all of a user's sessions, optionally keeping the current one
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {Object} io - Socket.io instance (optional)
+ * @param {String} exceptSessionId - Session to keep (optional)
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+exports.endAllSessions = async (userId, reason, io, exceptSessionId = null) => {
+  const tokenFilter = { userId, isRevoked: false };
+
+  if (exceptSessionId) {
+    tokenFilter.familyId = { $ne: exceptSessionId };
+  }
+
+  const result = await Token.updateMany(tokenFilter, { isRevoked: true, revokedReason: reason });
+
+  const user = await User.findByIdAndUpdate(userId, exceptSessionId
+    ? { $pull: { activeSessions: { sessionId: { $ne: exceptSessionId } } } }
+    : { activeSessions: [] });
+
+  // Reject outstanding access tokens right away
+  if (exceptSessionId) {
+    const endedSessionIds = (user ? user.activeSessions : [])
+      .map(session => session.sessionId)
+      .filter(sessionId => sessionId !== exceptSessionId);
+
+    await Promise.all(endedSessionIds.map(sessionId => denylistService.denySession(sessionId)));
+  } else {
+    await denylistService.denyUserTokens(userId);
+  }
+
+  await disconnectUserSessions(io, userId, exceptSessionId);
+
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every live refresh token in a token's family and end its session
+ * @param {Object} tokenDoc - Any refresh token of the family
+ * @param {String} reason - Revocation reason
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+exports.revokeFamily = async (tokenDoc, reason, io) => {
+  if (tokenDoc.familyId) {
+    return this.endSession(tokenDoc.userId, tokenDoc.familyId, reason, io);
+  }
+
+  // Tokens issued before families existed only stand for themselves
+  const result = await Token.updateMany(
+    { _id: tokenDoc._id, isRevoked: false },
+    { isRevoked: true, revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke a token family after one of its used tokens was presented again
+ * Whoever holds the stolen token and the legitimate client are both signed
+ * out of that login; the user is told unless the family was already dead.
+ * @param {Object} tokenDoc - The reused refresh token
+ * @param {Object} io - Socket.io instance (optional)
+ */
+exports.handleTokenReuse = async (tokenDoc, io) => {
+  const revoked = await this.revokeFamily(tokenDoc, 'reuse_detected', io);
+
+  if (revoked === 0) {
+    return;
+  }
+
+  try {
+    await notificationService.createSystemNotification({
+      userId: tokenDoc.userId,
+      message: 'A sign-in token that was already used was presented again, so we signed out that session. If this wasn\'t you, change your password.',
+      actionable: true,
+      actionLink: '/settings/security',
+      actionLabel: 'Review'
+    }, io);
+  } catch (error) {
+    // The family is revoked either way
+    console.error('Token reuse notification error:', error.message);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair in the same family
+ * Each refresh token can be exchanged once; presenting it again revokes the family.
+ * @param {String} refreshToken - Refresh token presented by the client
+ * @param {Object} client - deviceInfo and ipAddress of the request
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Object>} { tokens } on success, or { reason } of 'invalid', 'expired', 'reused' or 'inactive'
+ */
+exports.rotateRefreshToken = async (refreshToken, { deviceInfo, ipAddress }, io) => {
+  let decoded;
+
+  try {
+    decoded = verifyToken(refreshToken, 'refresh');
+  } catch (error) {
+    return { reason: 'invalid' };
+  }
+
+  // Claim the token atomically so it can only be exchanged once
+  const tokenDoc = await Token.findOneAndUpdate(
+    {
+      token: refreshToken,
+      userId: decoded.userId,
+      type: 'refresh',
+      isRevoked: false,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!tokenDoc) {
+    const existing = await Token.findOne({ token: refreshToken, type: 'refresh' });
+
+    if (existing && existing.usedAt) {
+      await this.handleTokenReuse(existing, io);
+      return { reason: 'reused' };
+    }
+
+    return { reason: existing && !existing.isRevoked ? 'expired' : 'invalid' };
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive) {
+    return { reason: 'inactive' };
+  }
+
+  const tokens = await generateTokens(
+    user,
+    deviceInfo,
+    ipAddress,
+    tokenDoc.isAdminSession,
+    tokenDoc.familyId
+  );
+
+  // Link the used token to its successor; older tokens join the new family here
+  await Token.updateOne(
+    { _id: tokenDoc._id },
+    { replacedBy: tokens.refreshTokenId, familyId: tokens.familyId }
+  );
+
+  const touched = await User.updateOne(
+    { _id: user._id, 'activeSessions.sessionId': tokens.familyId },
+    { $set: { 'activeSessions.$.lastActive': new Date() } }
+  );
+
+  // Logins from before sessions were tied to token families get an entry now
+  if (touched.matchedCount === 0) {
+    await User.findByIdAndUpdate(user._id, {
+      $push: {
+        activeSessions: {
+          sessionId: tokens.familyId,
+          deviceInfo,
+          ipAddress,
+          lastActive: new Date()
+        }
+      }
+    });
+  }
+
+  return { tokens };
+};
@@ -0,0 +1,228 @@
+// src/services/twoFactorService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const settingsService = require('./settingsService');
+const config = require('../config/config');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totpUtils');
+
+/**
+ * Hash a backup code for storage and lookup
+ * Codes are compared without case, spaces or dashes.
+ * @param {String} code - Backup code
+ * @returns {String} SHA-256 hex digest
+ */
+const hashBackupCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of one-time backup codes
+ * @returns {Array} Plain backup codes such as "3f9a1-c07d2"
+ */
+exports.generateBackupCodes = () => {
+  return Array.from({ length: config.twoFactor.backupCodeCount }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * Start enrolment by storing a new secret awaiting confirmation
+ * @param {Object} user - User enrolling
+ * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+ */
+exports.startEnrolment = async (user) => {
+  const secret = generateSecret();
+
+  await User.findByIdAndUpdate(user._id, { 'twoFactor.pendingSecret': secret });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.username, config.twoFactor.issuer)
+  };
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @param {String} userId - User enrolling
+ * @param {String} code - Current code
+ * @returns {Promise<Array|null>} Backup codes, or null if no enrolment is pending or the code is wrong
+ */
+exports.confirmEnrolment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  const pendingSecret = user && user.twoFactor && user.twoFactor.pendingSecret;
+
+  if (!pendingSecret) {
+    return null;
+  }
+
+  const step = verifyCode(pendingSecret, code, config.twoFactor.codeWindow);
+
+  if (step === null) {
+    return null;
+  }
+
+  const backupCodes = this.generateBackupCodes();
+
+  await User.findByIdAndUpdate(userId, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': pendingSecret,
+      'twoFactor.backupCodes': backupCodes.map(hashBackupCode),
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': new Date()
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+
+  return backupCodes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and backup codes
+ * @param {String} userId - User ID
+ */
+exports.disable = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.backupCodes': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.enabledAt': 1
+    }
+  });
+};
+
+/**
+ * Replace a user's backup codes with a fresh set
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} New plain backup codes
+ */
+exports.regenerateBackupCodes = async (userId) => {
+  const backupCodes = this.generateBackupCodes();
+
+  await User.findByIdAndUpdate(userId, {
+    'twoFactor.backupCodes': backupCodes.map(hashBackupCode)
+  });
+
+  return backupCodes;
+};
+
+/**
+ * Check an authenticator code, accepting each time step only once
+ * @param {String} userId - User ID
+ * @param {String} code - Code entered by the user
+ * @returns {Promise<Boolean>} True if the code is valid and unused
+ */
+exports.verifyTotpCode = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+
+  if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+    return false;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code, config.twoFactor.codeWindow);
+
+  if (step === null) {
+    return false;
+  }
+
+  // Claim the step atomically so the same code can't be used twice
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+
+  return !!claimed;
+};
+
+/**
+ * Use up a backup code
+ * @param {String} userId - User ID
+ * @param {String} backupCode - Backup code entered by the user
+ * @returns {Promise<Boolean>} True if the code was valid and unused
+ */
+exports.useBackupCode = async (userId, backupCode) => {
+  const hash = hashBackupCode(backupCode);
+
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, 'twoFactor.enabled': true, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+
+  return !!updated;
+};
+
+/**
+ * Check the second factor of a login or sensitive change
+ * @param {String} userId - User ID
+ * @param {Object} factor - Either an authenticator code or a backup code
+ * @returns {Promise<Boolean>} True if the factor is valid
+ */
+exports.verifySecondFactor = async (userId, { code, backupCode }) => {
+  if (code) {
+    return this.verifyTotpCode(userId, code);
+  }
+
+  if (backupCode) {
+    return this.useBackupCode(userId, backupCode);
+  }
+
+  return false;
+};
+
+/**
+ * Check whether admin session logins must pass two-factor authentication
+ * @returns {Promise<Boolean>} True if the admin setting is on
+ */
+exports.isRequiredForAdminSessions = async () => {
+  const settings = await settingsService.getSystemSettings();
+
+  return settings.requireAdminTwoFactor;
+};
+
+/**
+ * Create the short-lived token that links the password step to the code step
+ * @param {Object} user - User who passed the password step
+ * @param {Boolean} isAdminSession - Whether the login is for an admin session
+ * @returns {Object} Challenge token and its expiry
+ */
+exports.createChallengeToken = (user, isAdminSession) => {
+  const challengeToken = jwt.sign(
+    { userId: user._id, isAdminSession, purpose: 'two_factor' },
+    config.twoFactor.challengeSecret,
+    { expiresIn: config.twoFactor.challengeExpiry }
+  );
+
+  return {
+    challengeToken,
+    challengeExpiry: new Date(jwt.decode(challengeToken).exp * 1000)
+  };
+};
+
+/**
+ * Verify a challenge token from the password step
+ * @param {String} challengeToken - Challenge token
+ * @returns {Object|null} Payload with userId and isAdminSession, or null if invalid or expired
+ */
+exports.verifyChallengeToken = (challengeToken) => {
+  try {
+    const payload = jwt.verify(challengeToken, config.twoFactor.challengeSecret);
+
+    return payload.purpose === 'two_factor' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -1,23 +1,29 @@
 // src/utils/authUtils.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const Token = require('../models/tokenModel');
 
 /**
  * Generate JWT tokens for a user
+ * The token family doubles as the session ID carried by both tokens.
  * @param {Object} user - User document
  * @param {Object} deviceInfo - Device information
  * @param {String} ipAddress - IP address
  * @param {Boolean} isAdminSession - Whether this is an admin session
+ * @param {String} familyId - Token family to continue when rotating; a new login starts one
  * @returns {Object} Access and refresh tokens
  */
-const generateTokens = async (user, deviceInfo, ipAddress, isAdminSession = false) => {
+const generateTokens = async (user, deviceInfo, ipAddress, isAdminSession = false, familyId = null) => {
+    const tokenFamilyId = familyId || crypto.randomUUID();
+
     // Create payload
     const payload = {
       userId: user._id,
       username: user.username,
       isAdmin: user.isAdmin,
-      isAdminSession: isAdminSession && user.isAdmin
+      isAdminSession: isAdminSession && user.isAdmin,
+      sessionId: tokenFamilyId
     };
   
     // Generate access token
@@ -27,11 +33,11 @@ const generateTokens = async (user, deviceInfo, ipAddress, isAdminSession = fals
       { expiresIn: config.jwt.accessTokenExpiry }
     );
   
-    // Generate refresh token
+    // Generate refresh token; the jwtid keeps tokens issued in the same second distinct
     const refreshToken = jwt.sign(
       payload,
       config.jwt.refreshTokenSecret,
-      { expiresIn: config.jwt.refreshTokenExpiry }
+      { expiresIn: config.jwt.refreshTokenExpiry, jwtid: crypto.randomUUID() }
     );
   
     // Calculate expiry dates
@@ -42,10 +48,11 @@ const generateTokens = async (user, deviceInfo, ipAddress, isAdminSession = fals
     refreshTokenExpiry.setDate(refreshTokenExpiry.getDate() + 7); // 7 days
   
     // Store refresh token in database
-    await Token.create({
+    const refreshTokenDoc = await Token.create({
       userId: user._id,
       token: refreshToken,
       type: 'refresh',
+      familyId: tokenFamilyId,
       expiresAt: refreshTokenExpiry,
       deviceInfo,
       ipAddress,
@@ -56,7 +63,9 @@ const generateTokens = async (user, deviceInfo, ipAddress, isAdminSession = fals
       accessToken,
       refreshToken,
       accessTokenExpiry,
-      refreshTokenExpiry
+      refreshTokenExpiry,
+      familyId: tokenFamilyId,
+      refreshTokenId: refreshTokenDoc._id
     };
   };
 
@@ -78,7 +87,23 @@ const verifyToken = (token, type = 'access') => {
   }
 };
 
+/**
+ * Check that the session a token belongs to hasn't been ended
+ * Tokens issued before sessions were tied to token families carry no session ID.
+ * @param {Object} user - User document
+ * @param {Object} decoded - Decoded token payload
+ * @returns {Boolean} True if the session is still active
+ */
+const isSessionActive = (user, decoded) => {
+  if (!decoded.sessionId) {
+    return true;
+  }
+
+  return (user.activeSessions || []).some(session => session.sessionId === decoded.sessionId);
+};
+
 module.exports = {
   generateTokens,
-  verifyToken
+  verifyToken,
+  isSessionActive
 };
\ No newline at end of file
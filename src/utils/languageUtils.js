@@ -0,0 +1,166 @@
+// src/utils/languageUtils.js
+/**
+ * Offline language identification for posts and comments
+ * Text in a non-Latin script is identified by its script; Latin-script text
+ * by the common function words it uses. Text that is too short or too
+ * ambiguous to call is marked undetermined.
+ */
+
+// Language code for content whose language couldn't be determined
+const UNDETERMINED = 'und';
+
+// Minimum letters before a script decides the language
+const MIN_SCRIPT_LETTERS = 3;
+
+// Minimum words and function-word hits before Latin-script text is called
+const MIN_WORDS = 3;
+const MIN_SCORE = 2;
+
+// Common function words of Latin-script languages
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'were', 'of', 'to', 'in', 'that', 'it', 'for', 'with', 'this', 'have', 'you', 'not', 'on', 'but', 'they', 'what', 'my'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'para', 'con', 'no', 'del', 'se', 'lo', 'como', 'pero', 'muy', 'está'],
+  fr: ['le', 'la', 'les', 'des', 'est', 'et', 'un', 'une', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'avec', 'ce', 'je', 'vous', 'il', 'elle', 'mais', 'du'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'ich', 'zu', 'mit', 'auf', 'den', 'dem', 'sie', 'es', 'auch', 'für', 'von', 'sich', 'wir'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'um', 'uma', 'não', 'é', 'com', 'para', 'do', 'da', 'em', 'por', 'mas', 'muito', 'você', 'isso'],
+  it: ['il', 'la', 'lo', 'gli', 'le', 'di', 'che', 'e', 'un', 'una', 'non', 'è', 'per', 'con', 'del', 'della', 'sono', 'ma', 'anche', 'questo', 'molto'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'ook', 'maar', 'ik', 'je', 'wat', 'nog'],
+  sv: ['och', 'att', 'det', 'som', 'en', 'är', 'på', 'inte', 'jag', 'med', 'för', 'har', 'av', 'till', 'den', 'ett', 'var', 'men'],
+  tr: ['ve', 'bir', 'bu', 'da', 'de', 'için', 'ile', 'çok', 'ne', 'gibi', 'ama', 'ben', 'sen', 'değil', 'var', 'daha', 'mi', 'olarak'],
+  id: ['dan', 'yang', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'ada', 'saya', 'dari', 'akan', 'juga', 'kita', 'sudah', 'bisa'],
+  pl: ['i', 'w', 'nie', 'to', 'się', 'na', 'jest', 'z', 'że', 'do', 'jak', 'ale', 'co', 'tak', 'jestem', 'już', 'po']
+};
+
+const FUNCTION_WORD_SETS = Object.entries(FUNCTION_WORDS)
+  .map(([language, words]) => [language, new Set(words)]);
+
+// Letters that hardly occur outside one Latin-script language
+const DISTINCTIVE_LETTERS = {
+  es: /[ñ¿¡]/u,
+  pt: /[ãõ]/u,
+  de: /ß/u,
+  tr: /[ğış]/u,
+  pl: /[łąęśżźćń]/u,
+  sv: /å/u
+};
+
+const SCRIPTS = {
+  hangul: /\p{Script=Hangul}/gu,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  han: /\p{Script=Han}/gu,
+  cyrillic: /\p{Script=Cyrillic}/gu,
+  arabic: /\p{Script=Arabic}/gu,
+  hebrew: /\p{Script=Hebrew}/gu,
+  greek: /\p{Script=Greek}/gu,
+  thai: /\p{Script=Thai}/gu,
+  devanagari: /\p{Script=Devanagari}/gu
+};
+
+// Every language code detectLanguage can return, apart from UNDETERMINED
+const SUPPORTED_LANGUAGES = [
+  ...Object.keys(FUNCTION_WORDS),
+  'ko', 'ja', 'zh', 'ru', 'uk', 'ar', 'fa', 'he', 'el', 'th', 'hi'
+];
+
+/**
+ * Count the characters of a text that match a pattern
+ * @param {String} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Number} Number of matches
+ */
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Identify text written mostly in a non-Latin script
+ * @param {String} text - Cleaned text
+ * @returns {String|null} Language code, or null if no such script dominates
+ */
+const detectByScript = (text) => {
+  const letters = countMatches(text, /\p{L}/gu);
+
+  if (letters < MIN_SCRIPT_LETTERS) {
+    return null;
+  }
+
+  const counts = {};
+  Object.entries(SCRIPTS).forEach(([script, pattern]) => {
+    counts[script] = countMatches(text, pattern);
+  });
+
+  const dominates = count => count / letters > 0.5;
+
+  if (dominates(counts.hangul)) return 'ko';
+  // Japanese mixes kana with Han characters; Chinese uses no kana
+  if (counts.kana > 0 && dominates(counts.kana + counts.han)) return 'ja';
+  if (dominates(counts.han)) return 'zh';
+  if (dominates(counts.cyrillic)) return /[іїєґ]/iu.test(text) ? 'uk' : 'ru';
+  if (dominates(counts.arabic)) return /[پچژگ]/u.test(text) ? 'fa' : 'ar';
+  if (dominates(counts.hebrew)) return 'he';
+  if (dominates(counts.greek)) return 'el';
+  if (dominates(counts.thai)) return 'th';
+  if (dominates(counts.devanagari)) return 'hi';
+
+  return null;
+};
+
+/**
+ * Identify Latin-script text by its function words
+ * @param {String} text - Cleaned text
+ * @returns {String} Language code, or UNDETERMINED if no language clearly wins
+ */
+const detectByFunctionWords = (text) => {
+  const lowerText = text.toLowerCase();
+  const words = lowerText.match(/[\p{L}']+/gu) || [];
+
+  if (words.length < MIN_WORDS) {
+    return UNDETERMINED;
+  }
+
+  const scores = FUNCTION_WORD_SETS
+    .map(([language, wordSet]) => {
+      let score = words.filter(word => wordSet.has(word)).length;
+
+      if (DISTINCTIVE_LETTERS[language] && DISTINCTIVE_LETTERS[language].test(lowerText)) {
+        score++;
+      }
+
+      return { language, score };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+
+  if (best.score < MIN_SCORE || best.score === runnerUp.score) {
+    return UNDETERMINED;
+  }
+
+  return best.language;
+};
+
+/**
+ * Detect the language of content
+ * @param {String} content - Post or comment content
+ * @returns {String} Language code from SUPPORTED_LANGUAGES, or UNDETERMINED
+ */
+const detectLanguage = (content) => {
+  // Links, mentions and hashtags say nothing about the language
+  const text = String(content || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#]\w+/g, ' ');
+
+  return detectByScript(text) || detectByFunctionWords(text);
+};
+
+/**
+ * Check if a language code can be detected
+ * @param {String} language - Language code
+ * @returns {Boolean} True if the code is supported
+ */
+const isSupportedLanguage = (language) => SUPPORTED_LANGUAGES.includes(language);
+
+module.exports = {
+  UNDETERMINED,
+  SUPPORTED_LANGUAGES,
+  detectLanguage,
+  isSupportedLanguage
+};
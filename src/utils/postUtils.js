@@ -1,4 +1,6 @@
 // src/utils/postUtils.js
+const { detectLanguage, UNDETERMINED } = require('./languageUtils');
+
 /**
  * Extract hashtags from post content
  * @param {String} content - Post content
@@ -17,6 +19,17 @@ const extractHashtags = (content) => {
     return [...new Set(hashtags)];
   };
   
+  /**
+   * Normalize a hashtag the way post hashtags are stored
+   * @param {String} hashtag - Hashtag with or without a leading #
+   * @returns {String|null} Lowercase hashtag, or null if invalid
+   */
+  const normalizeHashtag = (hashtag) => {
+    const normalized = String(hashtag || '').trim().replace(/^#/, '').toLowerCase();
+    
+    return /^\w+$/.test(normalized) ? normalized : null;
+  };
+  
   /**
    * Check if content contains sensitive keywords
    * @param {String} content - Post or comment content
@@ -31,31 +44,91 @@ const extractHashtags = (content) => {
   };
   
   /**
-   * Detect language of content (simplified version)
-   * @param {String} content - Post or comment content
-   * @returns {String} Detected language code
+   * Check if a post comes from a muted user or carries a muted hashtag
+   * @param {Object} post - Post object
+   * @param {Object} user - User object
+   * @returns {Boolean} True if the user muted the post's author or one of its hashtags
+   */
+  const isPostMuted = (post, user) => {
+    const mutedUsers = user.mutedUsers || [];
+    if (mutedUsers.some(id => id.toString() === post.userId.toString())) {
+      return true;
+    }
+    
+    const mutedHashtags = user.mutedHashtags || [];
+    return (post.hashtags || []).some(tag => mutedHashtags.includes(tag));
+  };
+  
+  /**
+   * Check if a user is in a post's audience
+   * Posts created before audiences existed have none and are public.
+   * @param {Object} post - Post object
+   * @param {Object} user - User object (optional)
+   * @returns {Boolean} True if the user may see the post
    */
-  const detectLanguage = (content) => {
-    // In a real implementation, this would use a language detection library
-    // For now, we'll return English as default
-    return 'en';
+  const canViewPost = (post, user) => {
+    const audience = post.audience || 'public';
+    
+    if (audience === 'public') return true;
+    if (!user) return false;
+    if (post.userId.toString() === user._id.toString()) return true;
+    
+    return audience === 'mentioned' &&
+      (post.mentions || []).includes(user.username.toLowerCase());
+  };
+  
+  /**
+   * Build a query condition that limits posts to those whose audience includes a user
+   * Wrapped in $and so it can be combined with notExpiredCondition().
+   * @param {Object} user - User object (optional)
+   * @returns {Object} MongoDB query condition
+   */
+  const audienceCondition = (user) => {
+    const publicCondition = { audience: { $in: ['public', null] } };
+    
+    if (!user) {
+      return publicCondition;
+    }
+    
+    return {
+      $and: [{
+        $or: [
+          publicCondition,
+          { userId: user._id },
+          { audience: 'mentioned', mentions: user.username.toLowerCase() }
+        ]
+      }]
+    };
   };
   
   /**
    * Filter posts based on user preferences
    * @param {Array} posts - Array of posts
    * @param {Object} user - User object
+   * @param {Object} options - applyMutes: false keeps muted content (e.g. on profile visits)
    * @returns {Array} Filtered posts
    */
-  const filterPostsForUser = (posts, user) => {
-    if (!user) return posts.filter(post => post.visibility === 'public');
+  const filterPostsForUser = (posts, user, options = {}) => {
+    if (!user) return posts.filter(post => post.visibility === 'public' && canViewPost(post, null));
+    
+    const { applyMutes = true } = options;
     
     return posts.filter(post => {
+      // Filter out posts whose audience doesn't include the user
+      if (!canViewPost(post, user)) {
+        return false;
+      }
+      
       // Filter out posts from blocked users
       if (user.blockedUsers.some(id => id.toString() === post.userId.toString())) {
         return false;
       }
       
+      // Filter out posts from muted users or with muted hashtags
+      if (applyMutes && isPostMuted(post, user)) {
+        return false;
+      }
+      
       // Filter out posts with sensitive content if user has that setting
       if (user.settings.contentFilters.contentFiltering) {
         if (post.contentWarning && !user.settings.contentFilters.showSensitiveContent) {
@@ -74,13 +147,119 @@ const extractHashtags = (content) => {
         return false;
       }
       
+      // Filter out expired ephemeral posts
+      if (isPostExpired(post)) {
+        return false;
+      }
+      
       return true;
     });
   };
   
+  /**
+   * Check if an ephemeral post has expired
+   * @param {Object} post - Post object
+   * @returns {Boolean} True if the post has passed its expiry time
+   */
+  const isPostExpired = (post) => {
+    return !!post.expiresAt && new Date(post.expiresAt) <= new Date();
+  };
+  
+  /**
+   * Build query conditions that exclude a user's muted authors and hashtags
+   * @param {Object} user - User object (optional)
+   * @returns {Object} MongoDB query conditions, empty if nothing is muted
+   */
+  const notMutedConditions = (user) => {
+    const conditions = {};
+    
+    if (user && user.mutedUsers && user.mutedUsers.length > 0) {
+      conditions.userId = { $nin: user.mutedUsers };
+    }
+    
+    if (user && user.mutedHashtags && user.mutedHashtags.length > 0) {
+      conditions.hashtags = { $nin: user.mutedHashtags };
+    }
+    
+    return conditions;
+  };
+  
+  /**
+   * Add a user's mute conditions to a post query
+   * Keeps the userId and hashtags conditions the query already has, so pages
+   * are filled from unmuted posts instead of being emptied after the fetch.
+   * @param {Object} query - MongoDB query, changed in place
+   * @param {Object} user - User object (optional)
+   * @returns {Object} The query
+   */
+  const applyMutedConditions = (query, user) => {
+    const { userId, hashtags } = notMutedConditions(user);
+    
+    // Plain values such as a single hashtag become $eq so $nin can sit beside them
+    const asOperators = (condition) => {
+      if (condition === undefined) return {};
+      
+      const isOperatorObject = condition !== null && typeof condition === 'object' &&
+        Object.keys(condition).some(key => key.startsWith('$'));
+      
+      return isOperatorObject ? condition : { $eq: condition };
+    };
+    
+    if (userId) {
+      const existing = asOperators(query.userId);
+      query.userId = { ...existing, $nin: [...(existing.$nin || []), ...userId.$nin] };
+    }
+    
+    if (hashtags) {
+      const existing = asOperators(query.hashtags);
+      query.hashtags = { ...existing, $nin: [...(existing.$nin || []), ...hashtags.$nin] };
+    }
+    
+    return query;
+  };
+  
+  /**
+   * Build a query condition that limits posts to a user's preferred languages
+   * Posts whose language couldn't be determined are always kept.
+   * @param {Object} user - User object (optional)
+   * @returns {Object} MongoDB query condition, empty if the user has no preference
+   */
+  const languageCondition = (user) => {
+    const preferredLanguages = (user && user.settings && user.settings.preferredLanguages) || [];
+    
+    if (preferredLanguages.length === 0) {
+      return {};
+    }
+    
+    return { language: { $in: [...preferredLanguages, UNDETERMINED] } };
+  };
+  
+  /**
+   * Build a query condition that excludes expired posts
+   * Expired posts stay hidden until the sweeper marks them deleted.
+   * @returns {Object} MongoDB query condition
+   */
+  const notExpiredCondition = () => {
+    return {
+      $or: [
+        { expiresAt: null },
+        { expiresAt: { $gt: new Date() } }
+      ]
+    };
+  };
+  
   module.exports = {
     extractHashtags,
+    normalizeHashtag,
     containsSensitiveContent,
     detectLanguage,
-    filterPostsForUser
+    filterPostsForUser,
+    canViewPost,
+    audienceCondition,
+    isPostMuted,
+    notMutedConditions,
+    applyMutedConditions,
+    languageCondition,
+    isPostExpired,
+    notExpiredCondition
   };
\ No newline at end of file
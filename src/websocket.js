@@ -4,7 +4,33 @@ const jwt = require('jsonwebtoken');
 const config = require('./config/config');
 const User = require('./models/userModel');
 const Notification = require('./models/notificationModel');
-const { verifyToken } = require('./utils/authUtils');
+const Post = require('./models/postModel');
+const { canViewPost, isPostExpired } = require('./utils/postUtils');
+const { verifyToken, isSessionActive } = require('./utils/authUtils');
+const denylistService = require('./services/denylistService');
+const anonymityService = require('./services/anonymityService');
+
+/**
+ * Check if a socket's user may follow live updates of a post
+ * @param {String} postId - Post ID
+ * @param {Object} socketUser - socket.user
+ * @returns {Promise<Boolean>} True if the post is public, live and in the user's audience
+ */
+const canSubscribeToPost = async (postId, socketUser) => {
+  try {
+    const post = await Post.findById(postId)
+      .select('userId visibility expiresAt audience mentions')
+      .lean();
+    
+    return !!post &&
+      post.visibility === 'public' &&
+      !isPostExpired(post) &&
+      canViewPost(post, { _id: socketUser.id, username: socketUser.username });
+  } catch (error) {
+    // Malformed post IDs can't be subscribed to
+    return false;
+  }
+};
 
 /**
  * Initialize WebSocket server
@@ -32,6 +58,10 @@ const initializeWebSocket = (server) => {
       // Verify JWT token
       const decoded = verifyToken(token);
       
+      if (await denylistService.isTokenDenied(decoded)) {
+        return next(new Error('Authentication error: Token has been revoked'));
+      }
+      
       // Get user
       const user = await User.findById(decoded.userId);
       
@@ -39,10 +69,15 @@ const initializeWebSocket = (server) => {
         return next(new Error('Authentication error: User not found or inactive'));
       }
       
+      if (!isSessionActive(user, decoded)) {
+        return next(new Error('Authentication error: Session has ended'));
+      }
+      
       // Attach user to socket
       socket.user = {
         id: user._id.toString(),
-        username: user.username
+        username: user.username,
+        sessionId: decoded.sessionId || null
       };
       
       next();
@@ -58,6 +93,11 @@ const initializeWebSocket = (server) => {
     // Join user's personal channel for notifications
     socket.join(`user:${socket.user.id}`);
     
+    // Join the session's channel so ending the session can disconnect it
+    if (socket.user.sessionId) {
+      socket.join(`session:${socket.user.sessionId}`);
+    }
+    
     // Update user's last active timestamp
     User.findByIdAndUpdate(
       socket.user.id,
@@ -87,6 +127,10 @@ const initializeWebSocket = (server) => {
         } catch (error) {
           console.error('Error getting notification count:', error);
         }
+      } else if ((data.channel === 'comments' || data.channel === 'poll') && data.postId &&
+        !(await canSubscribeToPost(data.postId, socket.user))) {
+        // Live updates follow the same audience rules as the post itself
+        socket.emit('error', { message: 'Post not found' });
       } else if (data.channel === 'comments' && data.postId) {
         // Subscribe to comment stream for a specific post
         socket.join(`post:${data.postId}:comments`);
@@ -94,6 +138,13 @@ const initializeWebSocket = (server) => {
           channel: 'comments', 
           postId: data.postId 
         });
+      } else if (data.channel === 'poll' && data.postId) {
+        // Subscribe to poll tally updates for a specific post
+        socket.join(`post:${data.postId}:poll`);
+        socket.emit('subscribed', { 
+          channel: 'poll', 
+          postId: data.postId 
+        });
       } else if (data.channel === 'online') {
         // Join online users channel
         socket.join('online_users');
@@ -118,6 +169,12 @@ const initializeWebSocket = (server) => {
           channel: 'comments', 
           postId: data.postId 
         });
+      } else if (data.channel === 'poll' && data.postId) {
+        socket.leave(`post:${data.postId}:poll`);
+        socket.emit('unsubscribed', { 
+          channel: 'poll', 
+          postId: data.postId 
+        });
       } else if (data.channel === 'online') {
         socket.leave('online_users');
         socket.emit('unsubscribed', { channel: 'online' });
@@ -134,12 +191,28 @@ const initializeWebSocket = (server) => {
     });
     
     // Handle typing indicator
-    socket.on('typing', (data) => {
+    socket.on('typing', async (data) => {
       if (data && data.postId) {
+        let post;
+        
+        try {
+          post = await Post.findById(data.postId).select('isAnonymous').lean();
+        } catch (error) {
+          return;
+        }
+        
+        if (!post) {
+          return;
+        }
+        
+        // Commenters on anonymous posts only appear under their pseudonym
+        const typist = post.isAnonymous
+          ? { username: anonymityService.getPseudonym(post._id, socket.user.id) }
+          : { userId: socket.user.id, username: socket.user.username };
+        
         // Broadcast typing indicator to other users in the post's comment channel
         socket.to(`post:${data.postId}:comments`).emit('typing', {
-          userId: socket.user.id,
-          username: socket.user.username,
+          ...typist,
           isTyping: data.isTyping || false
         });
       }
@@ -259,6 +332,21 @@ const emitCommentDeletion = (io, postId, commentId) => {
   });
 };
 
+/**
+ * Emit a poll tally change to subscribers of a post
+ * @param {Object} io - Socket.io instance
+ * @param {String} postId - Post ID
+ * @param {Object} tally - Poll tally data
+ */
+const emitPollUpdate = (io, postId, tally) => {
+  if (!io) return;
+  
+  io.to(`post:${postId}:poll`).emit('poll', {
+    action: 'updated',
+    data: { postId, ...tally }
+  });
+};
+
 /**
  * Broadcast an announcement to all connected users
  * @param {Object} io - Socket.io instance
@@ -270,11 +358,42 @@ const broadcastAnnouncement = (io, announcement) => {
   io.emit('announcement', announcement);
 };
 
+/**
+ * Disconnect every socket opened by a session
+ * @param {Object} io - Socket.io instance
+ * @param {String} sessionId - Session ID
+ */
+const disconnectSession = (io, sessionId) => {
+  if (!io) return;
+  
+  io.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+/**
+ * Disconnect a user's sockets, optionally keeping one session connected
+ * @param {Object} io - Socket.io instance
+ * @param {String} userId - User ID
+ * @param {String} exceptSessionId - Session to keep connected (optional)
+ */
+const disconnectUserSessions = async (io, userId, exceptSessionId = null) => {
+  if (!io) return;
+  
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  
+  // Fetched sockets only expose their rooms, not socket.user
+  sockets
+    .filter(socket => !exceptSessionId || !socket.rooms.has(`session:${exceptSessionId}`))
+    .forEach(socket => socket.disconnect(true));
+};
+
 module.exports = {
   initializeWebSocket,
   emitNotification,
   emitNewComment,
   emitCommentUpdate,
   emitCommentDeletion,
-  broadcastAnnouncement
+  emitPollUpdate,
+  broadcastAnnouncement,
+  disconnectSession,
+  disconnectUserSessions
 };
\ No newline at end of file